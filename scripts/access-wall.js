@@ -0,0 +1,128 @@
+import { load as cheerioLoad } from "cheerio";
+import { detectJsChallenge } from "./http-fetcher.js";
+import { findSiteRule } from "./scraping-rules.js";
+
+// Detects pages that load fine but are not the article: bot challenges, paywalls, login walls
+// and truncated previews. Generic markers cover most sites; a site can add its own with an
+// `access_wall` block in scraping_rules.json:
+//   "access_wall": {
+//     "paywall_selector": "#fortress-paywall",   only present while the reader is locked out
+//     "paywall_text": ["Subscribe to continue"], "login_selector": "...", "login_text": [...],
+//     "challenge_text": ["Are you a robot?"],
+//     "min_full_length": 1500    pages with a paywall or login marker and less text than this are blocked
+//   }
+// Paywall and login markers alone are not enough: subscriber pages keep the paywall container
+// around the full text (WSJ), so they only count on pages shorter than `min_full_length`.
+
+/** Scraping statuses of pages that were fetched but did not contain the article. */
+export const ACCESS_WALL_STATUSES = new Set(['challenge', 'paywalled', 'login_required', 'truncated']);
+
+const DEFAULT_MIN_FULL_LENGTH = 1500;
+
+const PAYWALL_MARKUP = /<[^>]+(?:class|id|data-testid)=["'][^"']*(?:paywall|piano-offer|tp-modal|meter-wall|subscriber-only|regwall)[^"']*["']/i;
+// schema.org paywall markup; publishers also set it on pages that show subscribers the full text
+const NOT_FREE = /"isAccessibleForFree"\s*:\s*"?false"?/i;
+const PAYWALL_TEXT = [
+  'subscribe to continue reading', 'subscribe to read', 'subscribe to unlock', 'subscribers only',
+  'this article is for subscribers', 'already a subscriber', 'become a member to read',
+  'you have reached your limit of free articles', 'you\'ve reached your free article limit',
+  '유료 기사', '유료회원 전용', '구독자 전용', '구독하고 전체', '프리미엄 회원만',
+];
+// Specific enough not to match comment boxes ("log in to comment", "댓글은 로그인이 필요합니다")
+const LOGIN_TEXT = [
+  'log in to continue', 'sign in to continue', 'log in to read', 'sign in to read', 'log in to see',
+  '로그인 후 이용', '로그인 후 열람', '로그인하시면 전체', '회원만 볼 수', '회원만 열람',
+];
+const LOGIN_PATH = /\/(?:login|signin|sign-in|sign_in|nidlogin|accounts\/login|auth\/login)\b/i;
+const CHALLENGE_TEXT = ['are you a robot', 'verify you are human', 'unusual traffic from your computer', '자동입력 방지'];
+// Teasers that end with a "read more" link. A trailing ellipsis alone is not enough: short blog
+// posts and news briefs end in "..." too, so it only counts when a "read more" link follows it
+// on the page (or the JSON-LD wordCount check below catches the teaser).
+const READ_MORE = '(?:read more|continue reading|read the full (?:story|article)|계속 읽기|더보기|전체 ?보기|\\(계속\\))';
+const READ_MORE_ENDING = new RegExp(`${READ_MORE}\\s*$`, 'i');
+const ELLIPSIS_ENDING = /(?:\.\.\.|…|\[…\]|\[\.\.\.\])\s*$/;
+const READ_MORE_NEXT = new RegExp(`^\\s*(?:\\.\\.\\.|…|\\[…\\]|\\[\\.\\.\\.\\])?\\s*${READ_MORE}`, 'i');
+// How much of the end of the text is looked up on the page
+const TAIL_LENGTH = 40;
+// JSON-LD wordCount much larger than what was extracted
+const MIN_WORD_COUNT_RATIO = 0.5;
+
+const containsAny = (text, phrases) => phrases.find(phrase => text.includes(phrase.toLowerCase()));
+
+/**
+ * Whether the page shows a "read more" link right where the extracted text ends.
+ * @param {string} pageText - The page text, whitespace collapsed and lower-cased.
+ * @param {string} text - The extracted text, ending in an ellipsis.
+ * @returns {boolean}
+ */
+function readMoreFollows(pageText, text) {
+  const tail = text.replace(ELLIPSIS_ENDING, '').replace(/\s+/g, ' ').trim().slice(-TAIL_LENGTH).toLowerCase();
+  if (!tail) return false;
+  for (let at = pageText.indexOf(tail); at !== -1; at = pageText.indexOf(tail, at + 1)) {
+    if (READ_MORE_NEXT.test(pageText.slice(at + tail.length))) return true;
+  }
+  return false;
+}
+
+/**
+ * Checks whether a fetched page is a challenge, paywall, login wall or truncated preview
+ * instead of the article.
+ * @param {string} html - The page HTML.
+ * @param {string} content - The text extracted from it.
+ * @param {string} url - The final URL of the page, used for the site rule and login redirects.
+ * @param {object} rules - The parsed scraping rules.
+ * @returns {{status: string, reason: string}|null} One of `ACCESS_WALL_STATUSES` and what gave
+ *   it away, or null when the page looks like the full article.
+ */
+export function detectAccessWall(html, content, url, rules) {
+  const settings = findSiteRule(rules, url).access_wall || {};
+  const minFullLength = settings.min_full_length ?? DEFAULT_MIN_FULL_LENGTH;
+  const text = (content || '').trim();
+  const isShort = text.length < minFullLength;
+  const $ = cheerioLoad(html || '');
+  const pageText = `${$('title').text()} ${$('body').text()}`.replace(/\s+/g, ' ').toLowerCase();
+  const matches = (selector) => {
+    try {
+      return Boolean(selector) && $(selector).length > 0;
+    } catch (e) {
+      return false; // Invalid selector in the rule
+    }
+  };
+
+  const challenge = detectJsChallenge(html);
+  if (challenge) return { status: 'challenge', reason: `${challenge} challenge` };
+  const challengeText = isShort && containsAny(pageText, [...CHALLENGE_TEXT, ...(settings.challenge_text || [])]);
+  if (challengeText) return { status: 'challenge', reason: `"${challengeText}" on the page` };
+
+  let pathname = '';
+  try {
+    pathname = new URL(url).pathname;
+  } catch (e) {
+    // Saved files have no URL
+  }
+  if (LOGIN_PATH.test(pathname)) return { status: 'login_required', reason: `redirected to ${pathname}` };
+
+  if (isShort) {
+    if (matches(settings.login_selector)) return { status: 'login_required', reason: `${settings.login_selector} on the page` };
+    const loginText = containsAny(pageText, [...LOGIN_TEXT, ...(settings.login_text || [])]);
+    if (loginText) return { status: 'login_required', reason: `"${loginText}" on the page` };
+
+    if (matches(settings.paywall_selector)) return { status: 'paywalled', reason: `${settings.paywall_selector} on the page` };
+    const paywallText = containsAny(pageText, [...PAYWALL_TEXT, ...(settings.paywall_text || [])]);
+    if (paywallText) return { status: 'paywalled', reason: `"${paywallText}" on the page` };
+    if (PAYWALL_MARKUP.test(html || '')) return { status: 'paywalled', reason: 'paywall markup on the page' };
+    if (NOT_FREE.test(html || '')) return { status: 'paywalled', reason: 'isAccessibleForFree is false' };
+
+    if (READ_MORE_ENDING.test(text)) return { status: 'truncated', reason: 'text ends with a "read more" marker' };
+    if (ELLIPSIS_ENDING.test(text) && readMoreFollows(pageText, text)) {
+      return { status: 'truncated', reason: 'text ends with "..." and a "read more" link' };
+    }
+  }
+
+  const wordCount = Number((html || '').match(/"wordCount"\s*:\s*"?(\d+)/i)?.[1]);
+  const extractedWords = text.split(/\s+/).filter(Boolean).length;
+  if (wordCount > 0 && extractedWords < wordCount * MIN_WORD_COUNT_RATIO) {
+    return { status: 'truncated', reason: `${extractedWords} of ${wordCount} words (JSON-LD wordCount)` };
+  }
+  return null;
+}
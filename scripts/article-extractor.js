@@ -0,0 +1,424 @@
+import { load as cheerioLoad } from "cheerio";
+import { findSiteRule } from "./scraping-rules.js";
+
+// Scoring extractor modelled on Mozilla Readability: paragraphs vote for their ancestors,
+// candidates are penalized for link density, and the best one is kept with related siblings.
+
+const MIN_CONTENT_LENGTH = 200;
+const MIN_PARAGRAPH_LENGTH = 25;
+const NAVIGATION_LINK_DENSITY = 0.9;
+
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cookie|consent|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|newsletter|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_CLASS = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|view/i;
+const NEGATIVE_CLASS = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|cookie|consent|foot|footer|footnote|gdpr|masthead|media|meta|newsletter|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|subscribe|tags|tool|widget/i;
+
+const PROTECTED_TAGS = new Set(['html', 'body', 'article', 'main']);
+const BLOCK_TEXT_TAGS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote', 'pre', 'figcaption', 'td', 'th', 'dt', 'dd']);
+const BLOCK_CONTAINER_TAGS = ['p', 'div', 'section', 'article', 'table', 'ul', 'ol', 'dl', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'figure'];
+const INLINE_TAGS = new Set(['a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'dfn', 'em', 'font', 'i', 'kbd', 'label', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var']);
+const BASE_TAG_SCORES = {
+  div: 5, article: 5, section: 3, pre: 3, td: 3, blockquote: 3,
+  address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3,
+  h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5,
+};
+
+// Zero-width spaces are not whitespace to \s; Naver's editor fills its blank lines with them
+const ZERO_WIDTH = /[\u200b\ufeff]/g;
+
+const normalize = text => (text || '').replace(ZERO_WIDTH, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Scores the class and id of an element the way Readability does (+/-25).
+ * @param {object} el - A cheerio element.
+ * @returns {number} The class weight.
+ */
+function classWeight(el) {
+  let weight = 0;
+  for (const name of [el.attribs?.class, el.attribs?.id]) {
+    if (!name) continue;
+    if (NEGATIVE_CLASS.test(name)) weight -= 25;
+    if (POSITIVE_CLASS.test(name)) weight += 25;
+  }
+  return weight;
+}
+
+/**
+ * Ratio of link text to all text inside an element.
+ * @param {import('cheerio').CheerioAPI} $ - The document.
+ * @param {object} el - A cheerio element.
+ * @returns {number} A value between 0 and 1.
+ */
+function linkDensity($, el) {
+  const textLength = normalize($(el).text()).length;
+  if (textLength === 0) return 0;
+  let linkLength = 0;
+  $(el).find('a').each((_, a) => { linkLength += normalize($(a).text()).length; });
+  return Math.min(1, linkLength / textLength);
+}
+
+/**
+ * Whether an element holds a paragraph of text (a real <p>, or a div with no block children).
+ * @param {import('cheerio').CheerioAPI} $ - The document.
+ * @param {object} el - A cheerio element.
+ * @returns {boolean}
+ */
+function isParagraphLike($, el) {
+  if (['p', 'pre', 'td', 'blockquote'].includes(el.name)) return true;
+  if (el.name !== 'div' && el.name !== 'section') return false;
+  return $(el).find(BLOCK_CONTAINER_TAGS.join(',')).length === 0;
+}
+
+/**
+ * Converts a subtree into paragraphs, keeping block boundaries instead of collapsing them.
+ * @param {import('cheerio').CheerioAPI} $ - The document.
+ * @param {object} root - The cheerio element to serialize.
+ * @returns {string[]} The non-empty paragraphs in document order.
+ */
+function collectParagraphs($, root) {
+  const paragraphs = [];
+  let buffer = '';
+  const flush = () => {
+    const text = normalize(buffer);
+    if (text) paragraphs.push(text);
+    buffer = '';
+  };
+
+  const walk = (node) => {
+    for (const child of node.children || []) {
+      if (child.type === 'text') {
+        buffer += child.data;
+      } else if (child.type === 'tag') {
+        if (child.name === 'br') {
+          flush();
+        } else if (INLINE_TAGS.has(child.name)) {
+          buffer += $(child).text();
+        } else if (linkDensity($, child) >= NAVIGATION_LINK_DENSITY) {
+          // Share bars, tag lists and inline ad links inside the content: links and nothing else
+          flush();
+        } else if (BLOCK_TEXT_TAGS.has(child.name)) {
+          flush();
+          buffer = $(child).text();
+          flush();
+        } else {
+          flush();
+          walk(child);
+          flush();
+        }
+      }
+    }
+  };
+
+  if (BLOCK_TEXT_TAGS.has(root.name)) {
+    buffer = $(root).text();
+  } else {
+    walk(root);
+  }
+  flush();
+  return paragraphs;
+}
+
+/**
+ * Resolves an image's address, including the lazy-loading attributes most sites use.
+ * @param {object} img - A cheerio <img> element.
+ * @param {string} baseUrl - The page URL.
+ * @returns {string} The absolute image URL, or '' for missing and inline (data:) images.
+ */
+function imageSource(img, baseUrl) {
+  const attribs = img.attribs || {};
+  const raw = attribs['data-src'] || attribs['data-lazy-src'] || attribs['data-original'] || attribs.src
+    || (attribs.srcset || attribs['data-srcset'] || '').split(',')[0].trim().split(/\s+/)[0];
+  if (!raw || raw.startsWith('data:')) return '';
+  try {
+    return baseUrl ? new URL(raw, baseUrl).href : raw;
+  } catch (e) {
+    return raw;
+  }
+}
+
+/**
+ * Renders an image as Markdown.
+ * @param {object} img - A cheerio <img> element.
+ * @param {string} baseUrl - The page URL.
+ * @returns {string} `![alt](src)`, or '' when the image has no usable source.
+ */
+function imageMarkdown(img, baseUrl) {
+  const src = imageSource(img, baseUrl);
+  return src ? `![${normalize(img.attribs?.alt).replace(/[[\]]/g, '')}](${src})` : '';
+}
+
+/**
+ * Renders the inline content of an element as Markdown (emphasis, code and images kept).
+ * @param {import('cheerio').CheerioAPI} $ - The document.
+ * @param {object} node - A cheerio element.
+ * @param {string} baseUrl - The page URL.
+ * @returns {string} The inline Markdown; line breaks from <br> are kept as newlines.
+ */
+function inlineMarkdown($, node, baseUrl) {
+  let out = '';
+  for (const child of node.children || []) {
+    if (child.type === 'text') {
+      out += child.data.replace(/\s+/g, ' ');
+    } else if (child.type === 'tag') {
+      const inner = () => inlineMarkdown($, child, baseUrl);
+      if (child.name === 'br') out += '\n';
+      else if (child.name === 'img') out += imageMarkdown(child, baseUrl);
+      else if (child.name === 'strong' || child.name === 'b') out += wrapInline(inner(), '**');
+      else if (child.name === 'em' || child.name === 'i') out += wrapInline(inner(), '*');
+      else if (child.name === 'code') out += wrapInline(inner(), '`');
+      else if (INLINE_TAGS.has(child.name)) out += inner();
+      else out += ` ${inner()} `; // Stray block inside an inline context
+    }
+  }
+  return out;
+}
+
+const wrapInline = (text, marker) => {
+  const trimmed = text.trim();
+  return trimmed ? `${text.startsWith(' ') ? ' ' : ''}${marker}${trimmed}${marker}${text.endsWith(' ') ? ' ' : ''}` : text;
+};
+
+const cleanInline = text => text.replace(ZERO_WIDTH, '').replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+
+/**
+ * Renders a <ul>/<ol> as a Markdown list, nesting sub-lists by indentation.
+ * @param {import('cheerio').CheerioAPI} $ - The document.
+ * @param {object} list - The list element.
+ * @param {string} baseUrl - The page URL.
+ * @param {number} depth - Nesting level.
+ * @returns {string} The list lines.
+ */
+function listMarkdown($, list, baseUrl, depth = 0) {
+  const indent = '  '.repeat(depth);
+  const lines = [];
+  $(list).children('li').each((index, li) => {
+    const nested = $(li).children('ul, ol').toArray();
+    const clone = $(li).clone();
+    clone.children('ul, ol').remove();
+    const text = cleanInline(inlineMarkdown($, clone.get(0), baseUrl)).replace(/\n/g, ' ');
+    const marker = list.name === 'ol' ? `${index + 1}.` : '-';
+    if (text) lines.push(`${indent}${marker} ${text}`);
+    nested.forEach(sub => lines.push(listMarkdown($, sub, baseUrl, depth + 1)));
+  });
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Renders a data table as a GitHub-flavoured Markdown table. Layout tables (a single row or
+ * column) are returned as plain paragraphs instead.
+ * @param {import('cheerio').CheerioAPI} $ - The document.
+ * @param {object} table - The <table> element.
+ * @param {string} baseUrl - The page URL.
+ * @returns {string[]} Markdown blocks.
+ */
+function tableMarkdown($, table, baseUrl) {
+  const rows = $(table).find('tr').toArray()
+    .filter(tr => $(tr).closest('table').get(0) === table)
+    .map(tr => $(tr).children('th, td').toArray()
+      .map(cell => cleanInline(inlineMarkdown($, cell, baseUrl)).replace(/\n/g, ' ').replace(/\|/g, '\\|')));
+  const width = Math.max(0, ...rows.map(row => row.length));
+  if (rows.length < 2 || width < 2) {
+    return rows.flat().filter(Boolean);
+  }
+
+  const pad = row => row.concat(new Array(width - row.length).fill(''));
+  const line = row => `| ${pad(row).join(' | ')} |`;
+  const [header, ...body] = rows;
+  return [[line(header), line(new Array(width).fill('---')), ...body.map(line)].join('\n')];
+}
+
+/**
+ * Renders a subtree as Markdown blocks: headings (h1-h4, deeper levels capped at ####), lists,
+ * blockquotes, code, tables and images with their captions. Navigation-like blocks are skipped
+ * the same way `collectParagraphs` skips them.
+ * @param {import('cheerio').CheerioAPI} $ - The document.
+ * @param {object} root - The cheerio element to serialize.
+ * @param {string} baseUrl - The page URL, used to resolve image addresses.
+ * @param {boolean} [childrenOnly=false] - Serialize only the children of `root` (for blockquotes).
+ * @returns {string[]} The Markdown blocks in document order.
+ */
+function collectMarkdown($, root, baseUrl, childrenOnly = false) {
+  const blocks = [];
+  let buffer = '';
+  const push = (block) => {
+    if (block && block.trim()) blocks.push(block.trim());
+  };
+  const flush = () => {
+    push(cleanInline(buffer));
+    buffer = '';
+  };
+
+  const walk = (node) => {
+    for (const child of node.children || []) {
+      if (child.type === 'text') {
+        buffer += child.data.replace(/\s+/g, ' ');
+        continue;
+      }
+      if (child.type !== 'tag') continue;
+
+      const name = child.name;
+      if (name === 'br') {
+        buffer += '\n';
+      } else if (name === 'img') {
+        buffer += imageMarkdown(child, baseUrl);
+      } else if (INLINE_TAGS.has(name)) {
+        buffer += inlineMarkdown($, { children: [child] }, baseUrl);
+      } else if (child !== root && linkDensity($, child) >= NAVIGATION_LINK_DENSITY) {
+        flush();
+      } else if (/^h[1-6]$/.test(name)) {
+        flush();
+        const text = cleanInline(inlineMarkdown($, child, baseUrl)).replace(/\n/g, ' ');
+        if (text) push(`${'#'.repeat(Math.min(4, Number(name[1])))} ${text}`);
+      } else if (name === 'ul' || name === 'ol') {
+        flush();
+        push(listMarkdown($, child, baseUrl));
+      } else if (name === 'blockquote') {
+        flush();
+        push(collectMarkdown($, child, baseUrl, true).join('\n\n').split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+      } else if (name === 'pre') {
+        flush();
+        push(`\`\`\`\n${$(child).text().replace(/\n+$/, '')}\n\`\`\``);
+      } else if (name === 'table') {
+        flush();
+        tableMarkdown($, child, baseUrl).forEach(push);
+      } else if (name === 'figure') {
+        flush();
+        const images = $(child).find('img').toArray().map(img => imageMarkdown(img, baseUrl)).filter(Boolean);
+        const caption = normalize($(child).find('figcaption').first().text());
+        push([...images, caption ? `*${caption}*` : ''].filter(Boolean).join('\n'));
+      } else if (name === 'hr') {
+        flush();
+        push('---');
+      } else if (BLOCK_TEXT_TAGS.has(name)) {
+        flush();
+        push(cleanInline(inlineMarkdown($, child, baseUrl)));
+      } else {
+        flush();
+        walk(child);
+        flush();
+      }
+    }
+  };
+
+  walk(childrenOnly ? root : { children: [root] });
+  flush();
+  return blocks;
+}
+
+/**
+ * Converts a whole HTML document (or fragment) to Markdown, without picking an article node.
+ * Used for documents that are all content, such as converted Word files.
+ * @param {string} html - The HTML.
+ * @param {string} [baseUrl=''] - Used to resolve image addresses.
+ * @returns {string} The Markdown.
+ */
+export function htmlToMarkdown(html, baseUrl = '') {
+  const $ = cheerioLoad(html || '');
+  $('script, style, noscript, template').remove();
+  const root = $('body').get(0) || $.root().get(0);
+  return collectMarkdown($, root, baseUrl).join('\n\n');
+}
+
+/**
+ * Picks the best-scoring content node, plus siblings that look like part of the same article.
+ * @param {import('cheerio').CheerioAPI} $ - The cleaned document.
+ * @returns {object[]} The elements making up the article, in document order.
+ */
+function findArticleNodes($) {
+  const scores = new Map();
+  const initCandidate = (el) => {
+    if (!scores.has(el)) scores.set(el, (BASE_TAG_SCORES[el.name] || 0) + classWeight(el));
+  };
+
+  $('body *').each((_, el) => {
+    if (!isParagraphLike($, el)) return;
+    const text = normalize($(el).text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const contentScore = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = el.parent;
+    for (let level = 0; ancestor && ancestor.type === 'tag' && level < 3; level++, ancestor = ancestor.parent) {
+      initCandidate(ancestor);
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+    }
+  });
+
+  let top = null;
+  let topScore = -Infinity;
+  for (const [el, score] of scores) {
+    const finalScore = score * (1 - linkDensity($, el));
+    scores.set(el, finalScore);
+    if (finalScore > topScore) {
+      top = el;
+      topScore = finalScore;
+    }
+  }
+  if (!top) return [];
+
+  const parent = top.parent;
+  if (!parent || top.name === 'body') return [top];
+
+  const threshold = Math.max(10, topScore * 0.2);
+  return $(parent).children().toArray().filter(sibling => {
+    if (sibling === top) return true;
+    if (scores.has(sibling) && scores.get(sibling) >= threshold) return true;
+    if (sibling.name !== 'p') return false;
+    const text = normalize($(sibling).text());
+    const density = linkDensity($, sibling);
+    if (text.length > 80 && density < 0.25) return true;
+    return text.length > 0 && density === 0 && /\.( |$)/.test(text);
+  });
+}
+
+/**
+ * Extracts the title and main text of an article from its HTML.
+ * The site's `content_selector` in scraping_rules.json wins when it yields enough text;
+ * otherwise the Readability-style scorer picks the content, with the default selector,
+ * any shorter site-selector match and `fallback_selector` as last resorts.
+ * Paragraphs are separated by blank lines. The same elements are also rendered as Markdown,
+ * keeping headings, lists, tables and figure captions.
+ * @param {string} html - The page HTML.
+ * @param {string} url - The page URL, used to pick the site rule and resolve image addresses.
+ * @param {object} rules - The parsed scraping rules.
+ * @returns {{title: string, content: string, markdown: string, method: string}} The extracted article and which strategy produced it.
+ */
+export function extractArticleContent(html, url, rules) {
+  const $ = cheerioLoad(html || '');
+  const siteRule = findSiteRule(rules, url);
+  const title = normalize($('title').first().text());
+
+  const removeSelectors = (rules.default.remove_selectors || []).concat(siteRule.remove_selectors || []);
+  removeSelectors.forEach(selector => $(selector).remove());
+  $('noscript, template, svg').remove();
+
+  const toContent = elements => ({
+    content: elements.flatMap(el => collectParagraphs($, el)).join('\n\n'),
+    markdown: elements.flatMap(el => collectMarkdown($, el, url)).join('\n\n'),
+  });
+  const result = (candidate, method) => ({ title, content: candidate.content, markdown: candidate.markdown, method });
+
+  const bySite = toContent(siteRule.content_selector ? $(siteRule.content_selector).toArray() : []);
+  if (bySite.content.length >= MIN_CONTENT_LENGTH) return result(bySite, 'site_selector');
+
+  $('body *').each((_, el) => {
+    if (PROTECTED_TAGS.has(el.name)) return;
+    const matchString = `${el.attribs?.class || ''} ${el.attribs?.id || ''}`;
+    if (UNLIKELY_CANDIDATES.test(matchString) && !MAYBE_CANDIDATE.test(matchString)) {
+      $(el).remove();
+    }
+  });
+
+  const scored = toContent(findArticleNodes($));
+  if (scored.content.length >= MIN_CONTENT_LENGTH) return result(scored, 'readability');
+
+  const byDefault = toContent($(rules.default.content_selector).first().toArray());
+  if (byDefault.content.length >= MIN_CONTENT_LENGTH) return result(byDefault, 'default_selector');
+
+  // Short posts are common on community sites: an explicit site rule beats dumping the whole page
+  if (bySite.content) return result(bySite, 'site_selector');
+
+  const fallback = toContent($(rules.default.fallback_selector || 'body').first().toArray());
+  const best = [scored, byDefault, fallback].sort((a, b) => b.content.length - a.content.length)[0];
+  return result(best, best === fallback ? 'fallback' : best === scored ? 'readability' : 'default_selector');
+}
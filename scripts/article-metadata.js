@@ -0,0 +1,137 @@
+import { load as cheerioLoad } from "cheerio";
+import { findSiteRule } from "./scraping-rules.js";
+
+// Meta tags that carry a publish date, in order of trust.
+const DATE_META_SELECTORS = [
+  'meta[property="article:published_time"]',
+  'meta[property="og:published_time"]',
+  'meta[itemprop="datePublished"]',
+  'meta[name="article:published_time"]',
+  'meta[name="parsely-pub-date"]',
+  'meta[name="sailthru.date"]',
+  'meta[name="pubdate"]',
+  'meta[name="publishdate"]',
+  'meta[name="date"]',
+  'meta[name="dc.date"]',
+  'meta[name="DC.date.issued"]',
+];
+
+// "2025. 9. 24. 15:03", "2025년 9월 24일 오후 3:03", "2025-09-24 오후 3:03"
+const KOREAN_DATE = /^(\d{4})\s*([.\-/년])\s*(\d{1,2})\s*[.\-/월]\s*(\d{1,2})\s*[.일]?\s*(?:(오전|오후|AM|PM)?\s*(\d{1,2}):(\d{2}))?/i;
+// An explicit zone at the end: "Z", "+09:00", "-0500", "GMT", the US abbreviations `Date` knows,
+// optionally followed by a spelled-out name as in "GMT+0900 (Korean Standard Time)"
+const EXPLICIT_ZONE = /(?:Z|[+-]\d{2}:?\d{2}|\b(?:GMT|UTC|UT|[ECMP][SD]T))(?:\s*\([^)]*\))?$/i;
+// ISO date-times, which take a bare "Z"; every other format takes " UTC"
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T/;
+
+/**
+ * Normalizes a date string found on a page to an ISO string.
+ * Besides ISO/RFC formats this understands the dotted and 년/월/일 styles used by
+ * Korean sites ("2025. 9. 24. 15:03", "2025년 9월 24일 오후 3:03"), which are read as KST
+ * unless they carry a zone. Everything else is left to `Date`: an explicit zone is kept and
+ * a zone-less date or time is read as UTC, never in the zone of the machine.
+ * @param {string} value - The raw date string.
+ * @returns {string} The ISO date, or '' if it cannot be parsed.
+ */
+export function normalizeDate(value) {
+  if (!value) return '';
+  const text = String(value).trim();
+
+  const korean = text.match(KOREAN_DATE);
+  const koreanStyle = korean && (korean[2] === '.' || /[년월일]|오전|오후/.test(text));
+  if (koreanStyle && !EXPLICIT_ZONE.test(text)) {
+    const [, year, , month, day, meridiem, hourText, minute] = korean;
+    let hour = parseInt(hourText || '0', 10);
+    if (meridiem && /오후|PM/i.test(meridiem) && hour < 12) hour += 12;
+    if (meridiem && /오전|AM/i.test(meridiem) && hour === 12) hour = 0;
+    const pad = n => String(n).padStart(2, '0');
+    const date = new Date(`${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${minute || '00'}:00+09:00`);
+    return isNaN(date.getTime()) ? '' : date.toISOString();
+  }
+
+  let zoned = text;
+  if (!EXPLICIT_ZONE.test(text)) zoned = ISO_DATE_TIME.test(text) ? `${text}Z` : `${text} UTC`;
+  const date = new Date(zoned);
+  return isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+/**
+ * Walks parsed JSON-LD (objects, arrays and @graph) looking for a publish date.
+ * @param {any} node - A JSON-LD node.
+ * @returns {string} The raw date value, or ''.
+ */
+function findJsonLdDate(node) {
+  if (!node || typeof node !== 'object') return '';
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const found = findJsonLdDate(child);
+      if (found) return found;
+    }
+    return '';
+  }
+  if (node.datePublished) return node.datePublished;
+  if (node.dateCreated) return node.dateCreated;
+  return findJsonLdDate(node['@graph']);
+}
+
+/**
+ * Extracts the publish date of an article.
+ * Sources are tried in order: the per-domain `date_selector` rule in scraping_rules.json,
+ * JSON-LD `datePublished`, OpenGraph/article meta tags, and finally `<time>` elements.
+ * @param {string} html - The page HTML (before scripts are stripped).
+ * @param {string} url - The page URL, used to pick the site rule.
+ * @param {object} rules - The parsed scraping rules.
+ * @returns {string} The publish date as an ISO string, or '' if none was found.
+ */
+export function extractPublishDate(html, url, rules) {
+  if (!html) return '';
+  const $ = cheerioLoad(html);
+  const siteRule = findSiteRule(rules, url);
+
+  if (siteRule.date_selector) {
+    const element = $(siteRule.date_selector).first();
+    const raw = siteRule.date_attribute ? element.attr(siteRule.date_attribute) : element.text();
+    const date = normalizeDate(raw);
+    if (date) return date;
+  }
+
+  for (const script of $('script[type="application/ld+json"]').toArray()) {
+    try {
+      const date = normalizeDate(findJsonLdDate(JSON.parse($(script).text())));
+      if (date) return date;
+    } catch (e) {
+      // Malformed JSON-LD is common; skip the block
+    }
+  }
+
+  for (const selector of DATE_META_SELECTORS) {
+    const date = normalizeDate($(selector).first().attr('content'));
+    if (date) return date;
+  }
+
+  // A <time> inside the article first: the first one on the page is often a header or sidebar date
+  for (const time of [...$('article time').toArray(), ...$('time').toArray()]) {
+    const date = normalizeDate($(time).attr('datetime') || $(time).text());
+    if (date) return date;
+  }
+
+  return '';
+}
+
+/**
+ * Reads the page's `<link rel="canonical">` (or `og:url`) and resolves it against the page URL.
+ * @param {string} html - The page HTML.
+ * @param {string} url - The page URL, used to resolve relative links.
+ * @returns {string} The absolute canonical URL, or '' when the page declares none.
+ */
+export function extractCanonicalUrl(html, url) {
+  const $ = cheerioLoad(html || '');
+  const href = $('link[rel="canonical"]').first().attr('href') || $('meta[property="og:url"]').first().attr('content');
+  if (!href) return '';
+  try {
+    const canonical = new URL(href.trim(), url || undefined);
+    return /^https?:$/.test(canonical.protocol) ? canonical.href : '';
+  } catch (e) {
+    return '';
+  }
+}
@@ -0,0 +1,69 @@
+import { estimateTokens } from "./llm-providers.js";
+
+// Token-aware splitting for map-reduce synthesis in stage 2. Text is cut at paragraph breaks
+// where possible, then at sentence ends, and only as a last resort mid-sentence, so each chunk
+// reads on its own when it is summarized.
+
+const SENTENCE_END = /(?<=[.!?。？！])\s+/;
+
+/**
+ * Cuts a piece of text that is too long even on its own, sentence by sentence, then by length.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string[]}
+ */
+function splitOversized(text, maxTokens) {
+  const sentences = text.split(SENTENCE_END);
+  if (sentences.length > 1) return packIntoChunks(sentences, maxTokens, ' ');
+
+  // One endless sentence (tables, transcripts without punctuation): cut by characters
+  const pieces = [];
+  const step = Math.max(1, Math.floor(text.length * maxTokens / Math.max(1, estimateTokens(text))));
+  for (let start = 0; start < text.length; start += step) pieces.push(text.slice(start, start + step));
+  return pieces;
+}
+
+/**
+ * Packs pieces of text into as few chunks as fit the budget, keeping their order.
+ * @param {string[]} pieces
+ * @param {number} maxTokens - The budget per chunk.
+ * @param {string} [separator='\n\n'] - Joins the pieces of a chunk.
+ * @returns {string[]}
+ */
+export function packIntoChunks(pieces, maxTokens, separator = '\n\n') {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  const flush = () => {
+    if (current.length) chunks.push(current.join(separator));
+    current = [];
+    currentTokens = 0;
+  };
+
+  for (const piece of pieces) {
+    if (!piece.trim()) continue;
+    // +1 for the separator and the rounding of short pieces
+    const tokens = estimateTokens(piece) + 1;
+    if (tokens > maxTokens) {
+      flush();
+      chunks.push(...splitOversized(piece, maxTokens));
+      continue;
+    }
+    if (currentTokens + tokens > maxTokens) flush();
+    current.push(piece);
+    currentTokens += tokens;
+  }
+  flush();
+  return chunks;
+}
+
+/**
+ * Splits a text into chunks of at most `maxTokens` estimated tokens.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string[]} The text itself when it fits.
+ */
+export function splitIntoChunks(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return [text];
+  return packIntoChunks(text.split(/\n\s*\n/), maxTokens);
+}
@@ -0,0 +1,64 @@
+import { isSiteRoot } from "./url-normalizer.js";
+
+// Source-grounded citations for stage 2 (`--cite`). Every source of a plan is shown to the model
+// under a marker, [S1] for the first processed_id, [S2] for the second and so on, and the model
+// cites them inline. The markers in its answer are then checked against the plan: unknown ones
+// are removed, and the cited ones are resolved to the processed row's URL and title.
+
+const MARKER_GROUP = /([ \t]*)\[\s*(S\d+(?:\s*[,;]\s*S\d+)*)\s*\]/gi;
+
+/**
+ * Labels the rows of a plan with their citation markers, in `processed_ids` order.
+ * @param {string[]} processedIds - The plan's processed_ids.
+ * @param {Map<string, object>} contentMap - Processed rows keyed by processed_id.
+ * @returns {Array<{marker: string, processed_id: string, url: string, title: string}>}
+ */
+export function labelSources(processedIds, contentMap) {
+  return processedIds.map((id, i) => {
+    const row = contentMap.get(id) || {};
+    // The publisher's canonical link is the one worth sharing, unless it is just the home page;
+    // saved files have none
+    const canonical = row.canonical_url && !isSiteRoot(row.canonical_url) ? row.canonical_url : '';
+    return { marker: `S${i + 1}`, processed_id: id, url: canonical || row.url || row.final_url || '', title: row.title || '' };
+  });
+}
+
+/**
+ * Checks the citation markers of a synthesized text against the plan's sources.
+ * Grouped markers ("[S1, S3]") are written out one by one ("[S1][S3]").
+ * @param {string} text - The model's answer.
+ * @param {Array<{marker: string, processed_id: string, url: string, title: string}>} sources - From `labelSources`.
+ * @returns {{text: string, citations: Object<string, {processed_id: string, url: string, title: string}>,
+ *   invalid: string[]}} The text without unknown markers, the cited sources by marker (in
+ *   marker order) and the markers that matched no source.
+ */
+export function validateCitations(text, sources) {
+  const byMarker = new Map(sources.map(source => [source.marker, source]));
+  const cited = new Set();
+  const invalid = new Set();
+
+  const cleaned = (text || '').replace(MARKER_GROUP, (match, space, group) => {
+    const markers = group.split(/[,;]/).map(marker => marker.trim().toUpperCase());
+    const known = markers.filter(marker => byMarker.has(marker));
+    markers.filter(marker => !byMarker.has(marker)).forEach(marker => invalid.add(marker));
+    known.forEach(marker => cited.add(marker));
+    // A marker that is removed entirely takes the space before it along
+    return known.length ? `${space}${known.map(marker => `[${marker}]`).join('')}` : '';
+  });
+
+  const citations = {};
+  for (const source of sources) {
+    if (!cited.has(source.marker)) continue;
+    citations[source.marker] = { processed_id: source.processed_id, url: source.url, title: source.title };
+  }
+  return { text: cleaned, citations, invalid: [...invalid] };
+}
+
+/**
+ * Turns the `citations` column back into the list the SNS composers take.
+ * @param {Object<string, {url: string, title: string}>} citations
+ * @returns {Array<{marker: string, url: string, title: string}>}
+ */
+export function citedSources(citations) {
+  return Object.entries(citations || {}).map(([marker, source]) => ({ marker, url: source.url, title: source.title }));
+}
@@ -0,0 +1,118 @@
+import { load as cheerioLoad } from "cheerio";
+import { findSiteRule } from "./scraping-rules.js";
+import { normalizeDate } from "./article-metadata.js";
+
+// Comment and reply extraction for community and social pages, where the discussion is often
+// the point. Enabled per site with a `comments` block in scraping_rules.json:
+//   "comments": {
+//     "item_selector": ".comment_list .comment",   one element per comment (required)
+//     "author_selector": ".nick", "text_selector": "p", "likes_selector": ".vote",
+//     "time_selector": "time", "time_attribute": "datetime",
+//     "skip_first": 0,        items to skip (e.g. the original post on threads.net)
+//     "max_comments": 20, "sort": "likes" | "document"
+//   }
+
+const DEFAULT_MAX_COMMENTS = 20;
+const MAX_COMMENT_LENGTH = 1000;
+
+const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Parses a like count as shown on the page: "1,234", "1.2K", "3.4만", "좋아요 12".
+ * @param {string} text - The displayed count.
+ * @returns {number|null} The count, or null when the text holds no number.
+ */
+export function parseLikeCount(text) {
+  const match = normalize(text).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([kKmM천만]?)/);
+  if (!match) return null;
+  const multiplier = { k: 1e3, K: 1e3, m: 1e6, M: 1e6, '천': 1e3, '만': 1e4 }[match[2]] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Converts a comment time to ISO 8601. Relative times ("3시간 전", "2h", "5 minutes ago") are
+ * resolved against `now`.
+ * @param {string} value - The attribute value or displayed time.
+ * @param {number} [now=Date.now()] - The reference time in milliseconds.
+ * @returns {string} The ISO timestamp, or '' when it cannot be parsed.
+ */
+export function parseCommentTime(value, now = Date.now()) {
+  const text = normalize(value);
+  const relative = text.match(/^(\d+)\s*(초|분|시간|일|주|s|sec|m|min|h|hr|d|w|seconds?|minutes?|hours?|days?|weeks?)\s*(?:전|ago)?$/i);
+  if (relative) {
+    const unit = relative[2].toLowerCase();
+    const seconds = /^(초|s|sec|second)/.test(unit) ? 1
+      : /^(분|m|min)/.test(unit) ? 60
+      : /^(시간|h)/.test(unit) ? 3600
+      : /^(일|d)/.test(unit) ? 86400 : 604800;
+    return new Date(now - parseInt(relative[1], 10) * seconds * 1000).toISOString();
+  }
+  return normalizeDate(text);
+}
+
+/**
+ * Extracts the top comments or replies of a page according to the site's `comments` rule.
+ * @param {string} html - The page HTML.
+ * @param {string} url - The page URL, used to pick the site rule.
+ * @param {object} rules - The parsed scraping rules.
+ * @returns {Array<{author: string, text: string, likes: number|null, timestamp: string}>}
+ *   The comments, most liked first unless the rule sets `"sort": "document"`; [] when the
+ *   site has no `comments` rule or the page has no comments.
+ */
+export function extractComments(html, url, rules) {
+  const settings = findSiteRule(rules, url).comments;
+  if (!settings?.item_selector) return [];
+  const $ = cheerioLoad(html || '');
+
+  const pick = (item, selector) => (selector ? $(item).find(selector).first() : $());
+  const comments = [];
+  $(settings.item_selector).slice(settings.skip_first || 0).each((_, item) => {
+    const authorEl = pick(item, settings.author_selector);
+    const likesEl = pick(item, settings.likes_selector);
+    const timeEl = pick(item, settings.time_selector);
+
+    let text;
+    if (settings.text_selector) {
+      text = normalize(pick(item, settings.text_selector).text());
+    } else {
+      // Whatever is left once the author, like count and time are taken out
+      const clone = $(item).clone();
+      [settings.author_selector, settings.likes_selector, settings.time_selector]
+        .filter(Boolean).forEach(selector => clone.find(selector).remove());
+      text = normalize(clone.text());
+    }
+    if (!text) return;
+
+    const rawTime = settings.time_attribute ? timeEl.attr(settings.time_attribute) : (timeEl.attr('datetime') || timeEl.text());
+    comments.push({
+      author: normalize(authorEl.text()).replace(/^@/, ''),
+      text: text.length > MAX_COMMENT_LENGTH ? `${text.substring(0, MAX_COMMENT_LENGTH)}...` : text,
+      likes: likesEl.length ? parseLikeCount(likesEl.text()) : null,
+      timestamp: rawTime ? parseCommentTime(rawTime) : '',
+    });
+  });
+
+  if (settings.sort !== 'document') {
+    // Stable sort: equally liked comments keep page order
+    comments.sort((a, b) => (b.likes ?? -1) - (a.likes ?? -1));
+  }
+  return comments.slice(0, settings.max_comments ?? DEFAULT_MAX_COMMENTS);
+}
+
+/**
+ * Formats stored comments for a prompt, one quoted line per comment.
+ * @param {string} commentsJson - The `comments` column of processed_content.csv.
+ * @returns {string} The lines, or '' when there are no comments.
+ */
+export function formatCommentsForPrompt(commentsJson) {
+  let comments = [];
+  try {
+    comments = commentsJson ? JSON.parse(commentsJson) : [];
+  } catch (e) {
+    return '';
+  }
+  return comments.map(comment => {
+    const likes = comment.likes != null ? ` (${comment.likes} likes)` : '';
+    return `- ${comment.author ? `@${comment.author}` : 'Anonymous'}${likes}: "${comment.text}"`;
+  }).join('\n');
+}
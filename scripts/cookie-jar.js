@@ -0,0 +1,189 @@
+import fs from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+
+// Login cookies for config.authentication in profiles.json. Cookie files may be Puppeteer JSON,
+// a browser-extension export (EditThisCookie, Cookie-Editor, Playwright storage state) or a
+// Netscape cookies.txt; all of them are normalized to the Puppeteer format on load.
+
+export const DEFAULT_EXPIRY_WARNING_DAYS = 7;
+
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None', no_restriction: 'None' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a Netscape cookies.txt (curl, wget, "Get cookies.txt" extensions). Lines prefixed with
+ * `#HttpOnly_` are HTTP-only cookies; other `#` lines are comments.
+ * @param {string} text - The file contents.
+ * @returns {object[]} Cookies in Puppeteer format.
+ */
+function parseNetscape(text) {
+  const cookies = [];
+  for (let line of text.split(/\r?\n/)) {
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    } else if (line.startsWith('#') || !line.trim()) {
+      continue;
+    }
+    const fields = line.split('\t');
+    if (fields.length < 7) continue;
+    const [domain, , cookiePath, secure, expires, name, ...value] = fields;
+    const expiresAt = Number(expires);
+    cookies.push({
+      name,
+      value: value.join('\t'),
+      domain,
+      path: cookiePath || '/',
+      expires: expiresAt > 0 ? expiresAt : -1,
+      httpOnly,
+      secure: secure.toUpperCase() === 'TRUE',
+    });
+  }
+  return cookies;
+}
+
+/**
+ * Converts one cookie from a JSON export to the Puppeteer format.
+ * Extensions use `expirationDate` and lower-case `sameSite` values ("no_restriction");
+ * Puppeteer and Playwright use `expires` in seconds, -1 for session cookies.
+ * @param {object} raw - The exported cookie.
+ * @returns {object} The Puppeteer cookie.
+ */
+function normalizeJsonCookie(raw) {
+  const expires = raw.session ? -1 : Number(raw.expires ?? raw.expirationDate ?? raw.expiry ?? -1);
+  const cookie = {
+    name: raw.name,
+    value: String(raw.value ?? ''),
+    domain: raw.domain,
+    path: raw.path || '/',
+    expires: expires > 0 ? expires : -1,
+    httpOnly: Boolean(raw.httpOnly),
+    secure: Boolean(raw.secure),
+  };
+  const sameSite = SAME_SITE[String(raw.sameSite || '').toLowerCase()];
+  if (sameSite) cookie.sameSite = sameSite;
+  return cookie;
+}
+
+/**
+ * Parses a cookie file in any supported format.
+ * @param {string} text - The file contents.
+ * @returns {object[]} Cookies in Puppeteer format; empty for an empty file.
+ * @throws {Error} When the text is neither a JSON cookie list nor a cookies.txt.
+ */
+export function parseCookies(text) {
+  const trimmed = (text || '').replace(/^\ufeff/, '').trim();
+  if (!trimmed) return [];
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+    const list = Array.isArray(parsed) ? parsed : parsed.cookies;
+    if (!Array.isArray(list)) throw new Error('JSON cookie file must be an array or have a "cookies" array');
+    return list.filter(raw => raw && raw.name && raw.domain).map(normalizeJsonCookie);
+  }
+  const cookies = parseNetscape(trimmed);
+  if (cookies.length === 0) throw new Error('Unrecognized cookie file format (expected JSON or Netscape cookies.txt)');
+  return cookies;
+}
+
+/**
+ * Reads and normalizes a cookie file.
+ * @param {string} cookiesPath - Path relative to the working directory, or absolute.
+ * @returns {Promise<object[]|null>} The cookies, or null when the file does not exist.
+ */
+export async function loadCookies(cookiesPath) {
+  const fullPath = path.resolve(process.cwd(), cookiesPath);
+  if (!existsSync(fullPath)) return null;
+  return parseCookies(await fs.readFile(fullPath, 'utf-8'));
+}
+
+/**
+ * Checks which cookies have expired or will expire soon. Session cookies never count as expired.
+ * @param {object[]} cookies - Cookies in Puppeteer format.
+ * @param {number} [warningDays=DEFAULT_EXPIRY_WARNING_DAYS] - How close to expiry counts as "soon".
+ * @param {number} [now=Date.now()] - The reference time in milliseconds.
+ * @returns {{expired: object[], expiringSoon: object[], nextExpiry: Date|null}}
+ *   `nextExpiry` is the earliest expiry among the cookies that are still valid.
+ */
+export function checkCookieExpiry(cookies, warningDays = DEFAULT_EXPIRY_WARNING_DAYS, now = Date.now()) {
+  const expired = [];
+  const expiringSoon = [];
+  let nextExpiry = null;
+  for (const cookie of cookies) {
+    if (!(cookie.expires > 0)) continue;
+    const expiresAt = cookie.expires * 1000;
+    if (expiresAt <= now) {
+      expired.push(cookie);
+      continue;
+    }
+    if (expiresAt - now <= warningDays * DAY_MS) expiringSoon.push(cookie);
+    if (!nextExpiry || expiresAt < nextExpiry.getTime()) nextExpiry = new Date(expiresAt);
+  }
+  return { expired, expiringSoon, nextExpiry };
+}
+
+const cookieNames = (cookies) => {
+  const names = cookies.slice(0, 5).map(cookie => cookie.name).join(', ');
+  return cookies.length > 5 ? `${names}, ... (${cookies.length} total)` : names;
+};
+
+/**
+ * Prints a warning for every configured login whose cookie file is missing, unreadable,
+ * expired or close to expiry. Meant to run once when a stage starts.
+ * @param {object} authentication - `config.authentication` from profiles.json.
+ * @param {object} [options]
+ * @param {boolean} [options.verbose=false] - Also report healthy and empty cookie files.
+ * @returns {Promise<Array<{domain: string, status: string}>>} One entry per domain, with status
+ *   'ok', 'empty', 'missing', 'invalid', 'expired' or 'expiring'.
+ */
+export async function reportCookieHealth(authentication = {}, { verbose = false } = {}) {
+  const report = [];
+  for (const [domain, settings] of Object.entries(authentication)) {
+    if (!settings?.cookies_path) continue;
+    const warningDays = settings.expiry_warning_days ?? DEFAULT_EXPIRY_WARNING_DAYS;
+    let cookies;
+    try {
+      cookies = await loadCookies(settings.cookies_path);
+    } catch (e) {
+      console.log(`  ⚠️  Cookie file for ${domain} could not be read: ${e.message}`);
+      report.push({ domain, status: 'invalid' });
+      continue;
+    }
+    if (cookies === null) {
+      if (verbose) console.log(`  ⚠️  Cookie file for ${domain} not found at ${settings.cookies_path}`);
+      report.push({ domain, status: 'missing' });
+      continue;
+    }
+    if (cookies.length === 0) {
+      if (verbose) console.log(`  ℹ️  Cookie file for ${domain} is empty.`);
+      report.push({ domain, status: 'empty' });
+      continue;
+    }
+
+    const { expired, expiringSoon, nextExpiry } = checkCookieExpiry(cookies, warningDays);
+    if (expired.length > 0) {
+      console.log(`  ⚠️  ${expired.length} of ${cookies.length} cookies for ${domain} have expired (${cookieNames(expired)}). Re-export them from a logged-in browser.`);
+      report.push({ domain, status: 'expired' });
+    } else if (expiringSoon.length > 0) {
+      console.log(`  ⏳ ${expiringSoon.length} cookies for ${domain} expire within ${warningDays} days (first: ${nextExpiry.toISOString()}).`);
+      report.push({ domain, status: 'expiring' });
+    } else {
+      if (verbose) console.log(`  ✅ ${cookies.length} cookies for ${domain}${nextExpiry ? `, valid until ${nextExpiry.toISOString()}` : ' (session cookies)'}.`);
+      report.push({ domain, status: 'ok' });
+    }
+  }
+  return report;
+}
+
+/**
+ * Checks a loaded page for the domain's `logged_in_selector`, an element only shown to
+ * logged-in users (an avatar, a "log out" link).
+ * @param {object} page - The Puppeteer page.
+ * @param {object} settings - The domain's entry in `config.authentication`.
+ * @returns {Promise<boolean|null>} Whether the marker is present, or null when none is configured.
+ */
+export async function isLoggedIn(page, settings) {
+  if (!settings?.logged_in_selector) return null;
+  return Boolean(await page.$(settings.logged_in_selector));
+}
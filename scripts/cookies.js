@@ -0,0 +1,107 @@
+import fs from "fs/promises";
+import path from "path";
+import puppeteerExtra from "puppeteer-extra";
+import StealthPlugin from "puppeteer-extra-plugin-stealth";
+import { parseCookies, loadCookies, reportCookieHealth, isLoggedIn } from "./cookie-jar.js";
+
+// Manages the login cookies listed under "authentication" in config/profiles.json.
+// Usage:
+//   node scripts/cookies.js import <cookies.txt|export.json> <domain>
+//   node scripts/cookies.js check [domain...] [--verify]
+
+const CONFIG_PATH = path.resolve(process.cwd(), "config", "profiles.json");
+const VERIFY_TIMEOUT_MS = 60000;
+
+puppeteerExtra.use(StealthPlugin());
+
+/**
+ * Converts an exported cookie file to Puppeteer JSON and writes it to the domain's
+ * `cookies_path`, keeping only the cookies that belong to the domain.
+ * @param {object} config - The parsed profiles.json.
+ * @param {string} inputPath - The exported file.
+ * @param {string} domain - A key of config.authentication.
+ */
+async function importCookies(config, inputPath, domain) {
+  const settings = config.authentication?.[domain];
+  if (!settings?.cookies_path) {
+    throw new Error(`No authentication entry with a cookies_path for "${domain}" in config/profiles.json`);
+  }
+
+  const cookies = parseCookies(await fs.readFile(inputPath, "utf-8"));
+  // A full browser export holds every site's cookies; the base domain (naver.com for m.blog.naver.com) is kept
+  const labels = domain.split('.');
+  const baseDomain = labels.slice(/^(?:co|or|ne|ac|go|com)$/.test(labels.at(-2)) ? -3 : -2).join('.');
+  const relevant = cookies.filter(cookie => cookie.domain.replace(/^\./, '').endsWith(baseDomain));
+  if (relevant.length === 0) {
+    throw new Error(`${inputPath} has ${cookies.length} cookies, none of them for ${baseDomain}`);
+  }
+
+  const outputPath = path.resolve(process.cwd(), settings.cookies_path);
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify(relevant, null, 2) + '\n', 'utf-8');
+  console.log(`✅ Wrote ${relevant.length} cookies for ${domain} to ${settings.cookies_path} (${cookies.length - relevant.length} for other sites skipped).`);
+}
+
+/**
+ * Opens each domain's `login_check_url` with its cookies and looks for `logged_in_selector`.
+ * @param {object} authentication - The entries to verify.
+ */
+async function verifyLogins(authentication) {
+  const browser = await puppeteerExtra.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+  try {
+    for (const [domain, settings] of Object.entries(authentication)) {
+      if (!settings.logged_in_selector) {
+        console.log(`  ⏭️  ${domain}: no logged_in_selector configured, skipping.`);
+        continue;
+      }
+      const cookies = await loadCookies(settings.cookies_path).catch(() => null);
+      if (!cookies || cookies.length === 0) {
+        console.log(`  ⏭️  ${domain}: no cookies to verify.`);
+        continue;
+      }
+      const page = await browser.newPage();
+      try {
+        await page.setCookie(...cookies);
+        const checkUrl = settings.login_check_url || `https://${domain}/`;
+        await page.goto(checkUrl, { waitUntil: 'networkidle2', timeout: VERIFY_TIMEOUT_MS });
+        const loggedIn = await isLoggedIn(page, settings);
+        console.log(loggedIn
+          ? `  ✅ ${domain}: logged in (${settings.logged_in_selector} found on ${checkUrl}).`
+          : `  🔒 ${domain}: NOT logged in (${settings.logged_in_selector} missing on ${checkUrl}).`);
+      } catch (e) {
+        console.log(`  ❌ ${domain}: could not check the login: ${e.message}`);
+      } finally {
+        await page.close();
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const config = JSON.parse(await fs.readFile(CONFIG_PATH, "utf-8"));
+
+  if (command === 'import' && rest.length === 2) {
+    await importCookies(config, rest[0], rest[1]);
+  } else if (command === 'check') {
+    const domains = rest.filter(arg => !arg.startsWith('--'));
+    const authentication = Object.fromEntries(Object.entries(config.authentication || {})
+      .filter(([domain]) => domains.length === 0 || domains.includes(domain)));
+    console.log(`🍪 Checking cookies for ${Object.keys(authentication).length} domains...`);
+    await reportCookieHealth(authentication, { verbose: true });
+    if (rest.includes('--verify')) {
+      console.log("🌐 Verifying logins in the browser...");
+      await verifyLogins(authentication);
+    }
+  } else {
+    console.log("Usage:\n  node scripts/cookies.js import <cookies.txt|export.json> <domain>\n  node scripts/cookies.js check [domain...] [--verify]");
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error("An unexpected error occurred:", error.message);
+  process.exit(1);
+});
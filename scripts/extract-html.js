@@ -0,0 +1,68 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { extractArticleContent } from "./article-extractor.js";
+import { loadScrapingRules } from "./scraping-rules.js";
+
+// Runs the article extractor on saved HTML files, without a browser or network.
+// Usage: node scripts/extract-html.js <file-or-dir>... [--url <page url>] [--full] [--markdown]
+
+function parseArgs(argv) {
+  const args = { inputs: [], url: '', full: false, markdown: false };
+  for (let i = 2; i < argv.length; i++) {
+    if (argv[i] === '--url') args.url = argv[++i] || '';
+    else if (argv[i] === '--full') args.full = true;
+    else if (argv[i] === '--markdown') args.markdown = true;
+    else args.inputs.push(argv[i]);
+  }
+  return args;
+}
+
+/**
+ * Guesses the original URL from a legacy harvester file name
+ * (FAIL_<timestamp>_https___www_wsj_com_...). Only the hostname is reliable.
+ * @param {string} fileName - The saved file name.
+ * @returns {string} A URL usable for site-rule matching, or ''.
+ */
+function guessUrlFromFileName(fileName) {
+  const match = fileName.match(/https?___((?:[a-z0-9-]+_)+(?:com|net|org|kr|io|co))_/i);
+  return match ? `https://${match[1].replace(/_/g, '.')}/` : '';
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.inputs.length === 0) {
+    console.log("Usage: node scripts/extract-html.js <file-or-dir>... [--url <page url>] [--full] [--markdown]");
+    process.exit(1);
+  }
+
+  const files = [];
+  for (const input of args.inputs) {
+    const stat = await fs.stat(input);
+    if (stat.isDirectory()) {
+      const entries = await fs.readdir(input);
+      files.push(...entries.filter(f => /\.html?$/i.test(f)).map(f => path.join(input, f)));
+    } else {
+      files.push(input);
+    }
+  }
+
+  const rules = await loadScrapingRules();
+  for (const file of files) {
+    const html = await fs.readFile(file, "utf-8");
+    const url = args.url || guessUrlFromFileName(path.basename(file));
+    const { title, content: text, markdown, method } = extractArticleContent(html, url, rules);
+    const content = args.markdown ? markdown : text;
+    const paragraphs = content ? content.split('\n\n').length : 0;
+
+    console.log(`\n📄 ${file}`);
+    console.log(`   Title: ${title || '(none)'}`);
+    console.log(`   Method: ${method}, ${content.length} characters in ${paragraphs} paragraphs`);
+    if (content.length < 200) console.log("   ⚠️  Limited content extracted");
+    console.log(args.full ? content : `   ${content.substring(0, 300).replace(/\n/g, '\n   ')}${content.length > 300 ? '...' : ''}`);
+  }
+}
+
+main().catch(error => {
+  console.error("An unexpected error occurred:", error);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+// Same folder and FAIL_<timestamp>_<url> naming as the legacy harvester, so old and new captures sort together.
+const FAILED_DIR = path.resolve(process.cwd(), "logs", "failed_harvest");
+
+/**
+ * Saves what a failed or thin scrape actually saw: the page HTML, a full-page screenshot and a
+ * JSON file with the final URL, HTTP status and reason. Capturing is best effort; a page that
+ * crashed may only yield some of the files.
+ * @param {object} page - The Puppeteer page (still open).
+ * @param {string} url - The requested URL.
+ * @param {object} details - { reason, final_url, http_status } to store in the JSON file.
+ * @returns {Promise<string[]>} Paths of the saved files, relative to the project root; empty
+ *   when the folder cannot be created. Never throws, so a full disk does not fail the row.
+ */
+export async function saveFailureArtifacts(page, url, details) {
+  try {
+    await fs.mkdir(FAILED_DIR, { recursive: true });
+  } catch (e) {
+    console.log(`  ⚠️  Could not create ${path.relative(process.cwd(), FAILED_DIR)}/ for ${url}: ${e.message}`);
+    return [];
+  }
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const safeUrl = url.replace(/[^a-zA-Z0-9]/g, '_').slice(0, 100);
+  const base = path.join(FAILED_DIR, `FAIL_${timestamp}_${safeUrl}`);
+  const saved = [];
+
+  try {
+    await fs.writeFile(`${base}.html`, await page.content(), 'utf-8');
+    saved.push(`${base}.html`);
+  } catch (e) {
+    console.log(`  ⚠️  Could not save HTML for ${url}: ${e.message}`);
+  }
+
+  try {
+    await page.screenshot({ path: `${base}.png`, fullPage: true });
+    saved.push(`${base}.png`);
+  } catch (e) {
+    console.log(`  ⚠️  Could not save screenshot for ${url}: ${e.message}`);
+  }
+
+  try {
+    const meta = { url, captured_at: new Date().toISOString(), ...details };
+    await fs.writeFile(`${base}.json`, JSON.stringify(meta, null, 2), 'utf-8');
+    saved.push(`${base}.json`);
+  } catch (e) {
+    console.log(`  ⚠️  Could not save details for ${url}: ${e.message}`);
+  }
+
+  const relative = saved.map(file => path.relative(process.cwd(), file).replace(/\\/g, '/'));
+  if (saved.length > 0) console.log(`  🧾 Saved debug artifacts to ${path.relative(process.cwd(), FAILED_DIR)}/`);
+  return relative;
+}
@@ -0,0 +1,86 @@
+import { load as cheerioLoad } from "cheerio";
+
+/**
+ * @typedef {Object} FeedEntry
+ * @property {string} id - The entry's guid/id, falling back to its link.
+ * @property {string} title - The entry title as published in the feed.
+ * @property {string} link - The article URL the entry points to.
+ * @property {string} author - The entry author, if the feed provides one.
+ * @property {string} published - The publish date as an ISO string, or '' if unknown.
+ */
+
+/**
+ * @typedef {Object} Feed
+ * @property {string} title - The feed (channel) title.
+ * @property {FeedEntry[]} entries - The entries in feed order (usually newest first).
+ */
+
+const FEED_TIMEOUT_MS = 30000;
+
+/**
+ * Normalizes a feed date (RFC 822 for RSS, RFC 3339 for Atom) to an ISO string.
+ * @param {string} value - The raw date string.
+ * @returns {string} The ISO date, or '' if it cannot be parsed.
+ */
+function toIsoDate(value) {
+  if (!value) return '';
+  const date = new Date(value.trim());
+  return isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+/**
+ * Parses an RSS 2.0 or Atom document.
+ * @param {string} xml - The raw feed XML.
+ * @returns {Feed} The parsed feed.
+ */
+export function parseFeed(xml) {
+  const $ = cheerioLoad(xml, { xml: true });
+  const text = (el, selector) => $(el).children(selector).first().text().trim();
+
+  if ($('feed').length > 0) {
+    // Atom
+    const feedTitle = text($('feed').first(), 'title');
+    const entries = $('feed > entry').toArray().map(entry => {
+      const alternate = $(entry).children('link[rel="alternate"]').first();
+      const link = (alternate.length ? alternate : $(entry).children('link').first()).attr('href') || '';
+      return {
+        id: text(entry, 'id') || link,
+        title: text(entry, 'title'),
+        link: link.trim(),
+        author: $(entry).find('author > name').first().text().trim() || $('feed > author > name').first().text().trim(),
+        published: toIsoDate(text(entry, 'published') || text(entry, 'updated')),
+      };
+    });
+    return { title: feedTitle, entries };
+  }
+
+  // RSS 2.0 (and RSS 1.0/RDF, whose items sit beside the channel)
+  const feedTitle = $('channel > title').first().text().trim();
+  const entries = $('item').toArray().map(item => {
+    const link = text(item, 'link') || text(item, 'guid');
+    return {
+      id: text(item, 'guid') || link,
+      title: text(item, 'title'),
+      link,
+      author: text(item, 'dc\\:creator') || text(item, 'author'),
+      published: toIsoDate(text(item, 'pubDate') || text(item, 'dc\\:date')),
+    };
+  });
+  return { title: feedTitle, entries };
+}
+
+/**
+ * Downloads and parses an RSS/Atom feed.
+ * @param {string} feedUrl - The feed URL.
+ * @returns {Promise<Feed>} The parsed feed.
+ */
+export async function fetchFeed(feedUrl) {
+  const response = await fetch(feedUrl, {
+    headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8' },
+    signal: AbortSignal.timeout(FEED_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Feed request failed with HTTP ${response.status}`);
+  }
+  return parseFeed(await response.text());
+}
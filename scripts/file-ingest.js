@@ -0,0 +1,153 @@
+import path from "path";
+import { createHash } from "crypto";
+import mammoth from "mammoth";
+import { simpleParser } from "mailparser";
+import { PDFParse } from "pdf-parse";
+import { extractArticleContent, htmlToMarkdown } from "./article-extractor.js";
+import { extractPublishDate, extractCanonicalUrl, normalizeDate } from "./article-metadata.js";
+import { extractComments } from "./comments.js";
+import { detectAccessWall } from "./access-wall.js";
+
+// Text extraction for files dropped into data/1_raw/files/ (research PDFs, saved pages, newsletters).
+
+export const SUPPORTED_FILE_EXTENSIONS = new Set(['.pdf', '.html', '.htm', '.md', '.markdown', '.docx', '.eml']);
+
+const normalizeLines = text => (text || '')
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Hashes file bytes so the same document is ingested once, whatever its file name.
+ * @param {Buffer} buffer - The file contents.
+ * @returns {string} The hex SHA-256 digest.
+ */
+export function hashContent(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Converts a PDF date ("D:20240315093000+09'00'") to ISO 8601.
+ * @param {string} value - The raw PDF date.
+ * @returns {string} The ISO date, or '' when it cannot be parsed.
+ */
+function parsePdfDate(value) {
+  const match = String(value || '').match(/^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/);
+  if (!match) return '';
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+  const offset = !zone || zone === 'Z' ? 'Z' : `${zone.slice(0, 3)}:${zone.replace(/'/g, '').slice(3, 5) || '00'}`;
+  return normalizeDate(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+}
+
+async function extractPdf(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const { info } = await parser.getInfo();
+    const { text } = await parser.getText();
+    return {
+      title: (info?.Title || '').trim(),
+      author: (info?.Author || '').trim(),
+      content_date: parsePdfDate(info?.CreationDate),
+      // pdf-parse marks page breaks with "-- 1 of 12 --" lines
+      content: normalizeLines(text.replace(/^-- \d+ of \d+ --$/gm, '')),
+      markdown: '', // PDF text has no reliable structure; later stages fall back to the plain text
+      method: 'pdf',
+    };
+  } finally {
+    await parser.destroy();
+  }
+}
+
+function extractHtml(buffer, rules) {
+  const html = buffer.toString('utf-8');
+  // Browsers store the page address in "Save as" output; it lets site rules apply to saved pages
+  const canonicalUrl = extractCanonicalUrl(html, '');
+  const savedFrom = html.match(/<!--\s*saved from url=\(\d+\)(\S+)\s*-->/i)?.[1] || canonicalUrl;
+  const { title, content, markdown, method } = extractArticleContent(html, savedFrom, rules);
+  return {
+    title,
+    author: '',
+    content_date: extractPublishDate(html, savedFrom, rules),
+    canonical_url: canonicalUrl,
+    content,
+    markdown,
+    comments: extractComments(html, savedFrom, rules),
+    // A saved copy of a paywall or login page is not the article either
+    access_wall: detectAccessWall(html, content, savedFrom, rules),
+    method,
+  };
+}
+
+function extractMarkdown(buffer) {
+  let text = buffer.toString('utf-8').replace(/^\ufeff/, '');
+  const frontMatter = {};
+  const frontMatch = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+  if (frontMatch) {
+    for (const line of frontMatch[1].split(/\r?\n/)) {
+      const field = line.match(/^(\w+):\s*["']?(.*?)["']?\s*$/);
+      if (field) frontMatter[field[1].toLowerCase()] = field[2];
+    }
+    text = text.slice(frontMatch[0].length);
+  }
+  const heading = text.match(/^#\s+(.+)$/m)?.[1] || '';
+  return {
+    title: frontMatter.title || heading.trim(),
+    author: frontMatter.author || '',
+    content_date: normalizeDate(frontMatter.date),
+    content: normalizeLines(text),
+    markdown: normalizeLines(text),
+    method: 'markdown',
+  };
+}
+
+async function extractDocx(buffer) {
+  const { value } = await mammoth.extractRawText({ buffer });
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  return { title: '', author: '', content_date: '', content: normalizeLines(value), markdown: htmlToMarkdown(html), method: 'docx' };
+}
+
+async function extractEmail(buffer, rules) {
+  const mail = await simpleParser(buffer);
+  // Newsletters are mostly HTML; the plain-text part is often a stub or a link dump
+  const htmlBody = mail.html ? extractArticleContent(mail.html, '', rules) : { content: '', markdown: '' };
+  const fromHtml = htmlBody.content;
+  const fromText = normalizeLines(mail.text);
+  const sender = mail.from?.value?.[0];
+  return {
+    title: (mail.subject || '').trim(),
+    author: sender ? (sender.name || sender.address || '') : '',
+    content_date: mail.date ? mail.date.toISOString() : '',
+    content: fromHtml.length > fromText.length ? fromHtml : fromText,
+    markdown: fromHtml.length > fromText.length ? htmlBody.markdown : fromText,
+    method: fromHtml.length > fromText.length ? 'eml_html' : 'eml_text',
+  };
+}
+
+/**
+ * Extracts the text and basic metadata of a local file, picking the parser by extension.
+ * The file name (without extension) is used as the title when the file has none.
+ * @param {Buffer} buffer - The file contents.
+ * @param {string} fileName - The file name, used for the extension and the fallback title.
+ * @param {object} rules - The parsed scraping rules (used for HTML and HTML email bodies).
+ * @returns {Promise<{title: string, author: string, content_date: string, content: string, markdown: string,
+ *   method: string, canonical_url?: string, comments?: object[], access_wall?: object|null}>} `comments` is set
+ *   for saved pages of sites with a `comments` rule; `access_wall` is set for saved web pages (see access-wall.js); `markdown` keeps headings, lists and tables where the format
+ *   has them ('' for PDFs); `method` names the parser (or the HTML extraction strategy);
+ *   `canonical_url` is set for saved web pages that declare one.
+ */
+export async function extractFileContent(buffer, fileName, rules) {
+  const extension = path.extname(fileName).toLowerCase();
+  let result;
+  switch (extension) {
+    case '.pdf': result = await extractPdf(buffer); break;
+    case '.html':
+    case '.htm': result = extractHtml(buffer, rules); break;
+    case '.md':
+    case '.markdown': result = extractMarkdown(buffer); break;
+    case '.docx': result = await extractDocx(buffer); break;
+    case '.eml': result = await extractEmail(buffer, rules); break;
+    default: throw new Error(`Unsupported file type: ${extension || fileName}`);
+  }
+  return { ...result, title: result.title || path.basename(fileName, path.extname(fileName)) };
+}
@@ -0,0 +1,76 @@
+// Plain HTTP tier of the stage 1 fetcher. Static pages are fetched without a browser; the
+// caller escalates to Puppeteer when the page is thin, blocked or behind a JS challenge.
+
+const HTTP_TIMEOUT_MS = 20000;
+
+// The caller appends its robots.txt token (see robots.js) before sending it to a site
+export const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+
+const BROWSER_HEADERS = {
+  'User-Agent': BROWSER_USER_AGENT,
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'ko-KR,ko;q=0.9,en-US;q=0.8,en;q=0.7',
+};
+
+// Markers of bot walls that only let a real browser through (Cloudflare, Akamai, DataDome, PerimeterX, Imperva, Distil)
+const JS_CHALLENGE_PATTERNS = [
+  ['cloudflare', /<title>\s*(?:Just a moment\.\.\.|Attention Required! \| Cloudflare|Please Wait\.\.\. \| Cloudflare)|cf-browser-verification|_cf_chl_opt|\/cdn-cgi\/challenge-platform\//i],
+  ['datadome', /captcha-delivery\.com|geo\.captcha-delivery/i],
+  ['perimeterx', /px-captcha|_pxAppId|\/_px\d?\/|perimeterx/i],
+  ['imperva', /_Incapsula_Resource|incapsula incident id/i],
+  ['akamai', /<title>\s*Access Denied\s*<\/title>[\s\S]*Reference #[\d.a-f]+/i],
+  ['distil', /Pardon Our Interruption/i],
+  ['javascript_required', /<noscript>[^<]*(?:enable javascript|javascript (?:is )?(?:required|disabled))[^<]*<\/noscript>\s*<\/body>/i],
+];
+
+/**
+ * Detects a JavaScript challenge or bot wall in a fetched page.
+ * @param {string} html - The page HTML.
+ * @returns {string} The kind of challenge (e.g. 'cloudflare'), or '' when none is found.
+ */
+export function detectJsChallenge(html) {
+  const match = JS_CHALLENGE_PATTERNS.find(([, pattern]) => pattern.test(html || ''));
+  return match ? match[0] : '';
+}
+
+/**
+ * Decodes a response body with the charset from the Content-Type header or the page's
+ * `<meta charset>`, so EUC-KR pages are not garbled.
+ * @param {ArrayBuffer} body - The raw body.
+ * @param {string} contentType - The Content-Type header.
+ * @returns {string} The decoded text.
+ */
+function decodeBody(body, contentType) {
+  const bytes = new Uint8Array(body);
+  const head = new TextDecoder('latin1').decode(bytes.subarray(0, 4096));
+  const charset = (contentType.match(/charset=["']?([\w-]+)/i)
+    || head.match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1] || 'utf-8';
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(bytes);
+  } catch (e) {
+    return new TextDecoder('utf-8').decode(bytes); // Unknown label
+  }
+}
+
+/**
+ * Fetches a page over plain HTTP with browser-like headers, following redirects.
+ * @param {string} url - The page URL.
+ * @param {object} [options]
+ * @param {number} [options.timeout=20000] - Request timeout in milliseconds.
+ * @param {object} [options.headers] - Extra headers (e.g. a User-Agent override).
+ * @returns {Promise<{html: string, finalUrl: string, status: number, contentType: string}>}
+ *   `html` is '' for responses that are not HTML.
+ */
+export async function fetchHtml(url, { timeout = HTTP_TIMEOUT_MS, headers = {} } = {}) {
+  const response = await fetch(url, {
+    headers: { ...BROWSER_HEADERS, ...headers },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(timeout),
+  });
+  const contentType = response.headers.get('content-type') || '';
+  const isHtml = !contentType || /html|xml/i.test(contentType);
+  let html = '';
+  if (isHtml) html = decodeBody(await response.arrayBuffer(), contentType);
+  else await response.body?.cancel(); // Don't download PDFs or videos just to discard them
+  return { html, finalUrl: response.url || url, status: response.status, contentType };
+}
@@ -0,0 +1,100 @@
+// Local TF-IDF keyword extraction for English and Korean text. No API calls.
+
+const ENGLISH_STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below
+between both but by can could did do does doing down during each few for from further had has have having
+he her here hers herself him himself his how however i if in into is it its itself just like may me might
+more most must my myself new no nor not now of off on once one only or other our ours ourselves out over
+own said same says she should so some such than that the their theirs them themselves then there these
+they this those through to too two under until up upon us very was we were what when where which while
+who whom why will with would year years you your yours yourself yourselves
+`.trim().split(/\s+/));
+
+const KOREAN_STOPWORDS = new Set(`
+그리고 그러나 하지만 그래서 또한 또는 및 등 것 수 이 그 저 등의 때문 위해 대한 대해 통해 있는 있다 없는 없다
+했다 한다 하는 하고 하며 된다 되는 되어 이번 지난 오늘 내일 이후 이전 관련 경우 정도 가장 더 덜 매우 모든
+우리 저희 당신 그녀 그들 기자 뉴스 사진 제공 무단 전재 배포 금지
+`.trim().split(/\s+/));
+
+// Common Korean particles/endings stripped from the end of a token ("연구진은" -> "연구진").
+const KOREAN_SUFFIXES = [
+  '에서는', '으로는', '에게서', '까지는', '이라는', '이라고', '라는', '라고',
+  '에서', '으로', '에게', '까지', '부터', '보다', '처럼', '하고', '이다', '였다', '했다', '한다', '하는', '하며',
+  '은', '는', '이', '가', '을', '를', '의', '에', '로', '와', '과', '도', '만', '요',
+];
+
+const HANGUL = /[가-힣]/;
+
+/**
+ * Splits text into normalized terms, dropping stopwords and stripping Korean particles.
+ * @param {string} text - The text to tokenize.
+ * @returns {string[]} The terms in document order.
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  const terms = [];
+  for (let token of text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []) {
+    token = token.replace(/['’]s$/, '').replace(/['’-]+$/, '');
+    if (HANGUL.test(token)) {
+      for (const suffix of KOREAN_SUFFIXES) {
+        if (token.length > suffix.length + 1 && token.endsWith(suffix)) {
+          token = token.slice(0, -suffix.length);
+          break;
+        }
+      }
+      if (token.length < 2 || KOREAN_STOPWORDS.has(token)) continue;
+    } else {
+      if (token.length < 3 || /^\d+$/.test(token) || ENGLISH_STOPWORDS.has(token)) continue;
+    }
+    terms.push(token);
+  }
+  return terms;
+}
+
+/**
+ * Creates a TF-IDF keyword extractor over a growing corpus.
+ * Document frequencies start from `documents` and are updated by each `extract` call,
+ * so keywords of a new row are weighted against everything processed so far. A document
+ * counts once per id: extracting again for an id (a retried row) replaces its terms.
+ * @param {Map<string, string>} [documents=new Map()] - Texts of the already processed corpus, by processed_id.
+ * @returns {{ extract: (text: string, id: string|number, topN?: number) => string[] }}
+ */
+export function makeKeywordExtractor(documents = new Map()) {
+  const documentFrequency = new Map();
+  const termsById = new Map();
+
+  const addDocument = (id, terms) => {
+    const key = String(id);
+    for (const term of termsById.get(key) || []) {
+      documentFrequency.set(term, documentFrequency.get(term) - 1);
+    }
+    const unique = new Set(terms);
+    termsById.set(key, unique);
+    for (const term of unique) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  };
+
+  for (const [id, text] of documents) addDocument(id, tokenize(text));
+
+  return {
+    extract(text, id, topN = 8) {
+      const terms = tokenize(text);
+      if (terms.length === 0) return [];
+      addDocument(id, terms);
+      const documentCount = termsById.size;
+
+      const termFrequency = new Map();
+      for (const term of terms) termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+
+      return [...termFrequency.entries()]
+        .map(([term, count]) => {
+          const idf = Math.log((1 + documentCount) / (1 + documentFrequency.get(term))) + 1;
+          return [term, (count / terms.length) * idf];
+        })
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, topN)
+        .map(([term]) => term);
+    },
+  };
+}
@@ -0,0 +1,63 @@
+// Local language detection for processed content. No API calls: the writing system decides
+// between Korean, Japanese, Chinese and Russian, and function words between the Latin-script
+// languages. Codes are ISO 639-1.
+
+export const LANGUAGE_NAMES = {
+  en: 'English', ko: 'Korean', ja: 'Japanese', zh: 'Chinese', ru: 'Russian',
+  de: 'German', fr: 'French', es: 'Spanish', pt: 'Portuguese', it: 'Italian', nl: 'Dutch',
+};
+
+const SAMPLE_LENGTH = 5000;
+const MIN_LETTERS = 20;
+// One Hangul syllable or CJK character carries about as much as two Latin letters
+const CJK_WEIGHT = 2;
+
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'for', 'with', 'was', 'are', 'this', 'by'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'ein', 'eine', 'den', 'von', 'zu', 'auch', 'sich'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'dans', 'pour', 'que', 'pas', 'sur', 'du', 'au'],
+  es: ['el', 'la', 'los', 'las', 'y', 'que', 'es', 'por', 'una', 'con', 'para', 'del', 'se', 'como'],
+  pt: ['o', 'os', 'as', 'e', 'que', 'não', 'uma', 'com', 'para', 'do', 'da', 'em', 'são', 'mais'],
+  it: ['il', 'gli', 'e', 'che', 'non', 'una', 'per', 'con', 'del', 'della', 'sono', 'anche', 'di', 'è'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'niet', 'met', 'zijn', 'voor', 'ook', 'dat', 'maar', 'wordt', 'bij'],
+};
+const FUNCTION_WORD_SETS = Object.fromEntries(
+  Object.entries(FUNCTION_WORDS).map(([code, words]) => [code, new Set(words)]));
+
+const count = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * Detects the main language of a text.
+ * @param {string} text - The content (only the first few thousand characters are read).
+ * @returns {string} An ISO 639-1 code (a key of `LANGUAGE_NAMES`), or '' when the text is too
+ *   short or no language stands out.
+ */
+export function detectLanguage(text) {
+  // URLs and code are Latin even in Korean articles
+  const sample = (text || '').slice(0, SAMPLE_LENGTH).replace(/https?:\/\/\S+/g, ' ');
+  const letters = count(sample, /\p{L}/gu);
+  if (letters < MIN_LETTERS) return '';
+
+  const hangul = count(sample, /[가-힣]/g) * CJK_WEIGHT;
+  const kana = count(sample, /[぀-ヿ]/g) * CJK_WEIGHT;
+  const han = count(sample, /[一-鿿]/g) * CJK_WEIGHT;
+  const cyrillic = count(sample, /[Ѐ-ӿ]/g);
+  const latin = count(sample, /[a-zA-ZÀ-ɏ]/g);
+
+  // Japanese mixes kanji with kana; Chinese has no kana
+  const scripts = [['ko', hangul], ['ja', kana > 0 ? kana + han : 0], ['zh', kana > 0 ? 0 : han], ['ru', cyrillic], ['latin', latin]];
+  const [script] = scripts.reduce((best, current) => (current[1] > best[1] ? current : best));
+  if (script !== 'latin') return script;
+
+  const words = sample.toLowerCase().match(/[a-zÀ-ɏ]+/g) || [];
+  let best = '';
+  let bestHits = 0;
+  for (const [code, set] of Object.entries(FUNCTION_WORD_SETS)) {
+    const hits = words.filter(word => set.has(word)).length;
+    if (hits > bestHits) {
+      best = code;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
@@ -3,11 +3,10 @@ import path from "path";
 import puppeteer from "puppeteer";
 import puppeteerExtra from "puppeteer-extra";
 import StealthPlugin from "puppeteer-extra-plugin-stealth";
-import OpenAI from "openai";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import crypto from "crypto";
 import "dotenv/config";
-import { logEvent, logServer, makeRateCounter, logApiUsage, setupGlobalErrorHandling } from "./logger.js";
+import { logEvent, logServer, makeRateCounter, setupGlobalErrorHandling } from "../logger.js";
+import { createLlmClient } from "../llm-providers.js";
 
 setupGlobalErrorHandling();
 
@@ -17,6 +16,8 @@ await logEvent({ tag: "run:start", script: process.argv[1], args: process.argv.s
 
 // Load configuration
 const profiles = JSON.parse(await fs.readFile("config/profiles.json", "utf-8"));
+// The summary profiles live under "legacy_profiles"; the pipeline owns the rest of profiles.json
+const summaryProfiles = profiles.legacy_profiles;
 
 // Configuration
 const config = {
@@ -32,13 +33,13 @@ const config = {
 };
 
 // Validate configuration
-if (!profiles.profiles[config.summaryProfile]) {
+if (!summaryProfiles[config.summaryProfile]) {
   console.error(`❌ Invalid profile: ${config.summaryProfile}`);
-  console.log("Available profiles:", Object.keys(profiles.profiles).join(", "));
+  console.log("Available profiles:", Object.keys(summaryProfiles).join(", "));
   process.exit(1);
 }
 
-const profile = profiles.profiles[config.summaryProfile];
+const profile = summaryProfiles[config.summaryProfile];
 console.log("🚀 Web Article Summarizer Tool");
 console.log(`📋 Default Profile: ${profile.name} - ${profile.description}`);
 console.log(`🤖 Provider: ${config.provider}  (model via --model or env)\n`);
@@ -111,7 +112,7 @@ let modelsToRun = cli.models.length ? (wantAllModels ? allModelKeys : cli.models
 // Normalize to known keys if possible
 modelsToRun = modelsToRun.map(m => m in profiles.models ? m : m);
 
-const allProfileKeys = Object.keys(profiles.profiles);
+const allProfileKeys = Object.keys(summaryProfiles);
 let profilesToRun = cli.profiles.length ? (wantAllProfiles ? allProfileKeys : cli.profiles) : [config.summaryProfile];
 
 // De-duplicate URL list by URL
@@ -151,9 +152,8 @@ async function findArchivedHtml(targetUrl) {
   }
 }
 
-// Initialize clients per provider
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const genai = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
+// Shared LLM client; the provider of each model comes from profiles.json
+const llm = createLlmClient(profiles.models);
 
 // Launch browser
 let browserArgs = ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'];
@@ -190,7 +190,7 @@ let totalTokens = 0;
 // Build a unified list of all possible section names across profiles for CSV columns
 const allSectionNames = Array.from(
   new Set(
-    Object.values(profiles.profiles)
+    Object.values(summaryProfiles)
       .flatMap(p => p.format?.sections || [])
   )
 );
@@ -235,17 +235,9 @@ async function translateText(text, targetLang = "Korean") {
   if (!text) return "";
   try {
     const modelKey = "gemini-2.5-flash"; // Hardcode cost-effective model for translation
-    const model = genai.getGenerativeModel({ model: modelKey });
     const prompt = `Translate the following English text to ${targetLang}. Only return the translated text, without any preamble or explanation.\n\nENGLISH TEXT:\n---\n${text}`;
-    const result = await model.generateContent(prompt);
-    
-    // Mock token usage for logging, as Gemini API v1 doesn't provide it directly.
-    // This is a rough estimate.
-    const tokensUsed = Math.round((prompt.length + result.response.text().length) / 4);
-    const cost = tokensUsed * (profiles.models[modelKey]?.cost_per_1k_tokens || 0) / 1000;
-    await logApiUsage({ provider: "gemini", model: modelKey, tokensUsed, cost, function: "translate" });
-
-    return result.response.text();
+    const { text: translated } = await llm.chat({ model: modelKey, user: prompt, function: "translate" });
+    return translated;
   } catch (e) {
     logEvent({ tag: "translate:error", message: e.message });
     return `Translation failed: ${e.message}`;
@@ -269,7 +261,7 @@ try {
 } catch {}
 
 function computeProfileConfigHash(profileKey) {
-  const p = profiles.profiles[profileKey] || {};
+  const p = summaryProfiles[profileKey] || {};
   const str = JSON.stringify(p);
   return crypto.createHash("md5").update(str).digest("hex");
 }
@@ -282,33 +274,8 @@ function computeTaskKey(articleUrl, modelKey, profileKey) {
 async function getSummary(provider, modelKey, profile, content) {
   const systemPrompt = profile.system_prompt;
   const userPrompt = `Article content:\n\n${content}`;
-  let summary = "";
-  let tokensUsed = 0;
-
-  const apiParams = {
-    model: modelKey,
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt }
-    ]
-  };
-  if (profile.temperature && profile.temperature !== 1) {
-    apiParams.temperature = profile.temperature;
-  }
-
-  if (provider === "openai") {
-    const response = await openai.chat.completions.create(apiParams);
-    summary = response.choices[0].message.content;
-    tokensUsed = response.usage?.total_tokens || 0;
-  } else if (provider === "gemini") {
-    const model = genai.getGenerativeModel({ model: modelKey });
-    const result = await model.generateContent([systemPrompt, userPrompt]);
-    summary = result.response.text();
-    tokensUsed = Math.round((systemPrompt.length + userPrompt.length + summary.length) / 4);
-  }
-
-  const cost = (tokensUsed / 1000) * (profiles.models[modelKey]?.cost_per_1k_tokens || 0);
-  await logApiUsage({ provider, model: modelKey, tokensUsed, cost, function: "summarize" });
+  const temperature = profile.temperature && profile.temperature !== 1 ? profile.temperature : undefined;
+  const { text: summary, tokensUsed, cost } = await llm.chat({ model: modelKey, provider, system: systemPrompt, user: userPrompt, temperature, function: "summarize" });
 
   return { summary, tokensUsed, cost };
 }
@@ -335,7 +302,7 @@ async function main() {
   // Normalize to known keys if possible
   modelsToRun = modelsToRun.map(m => m in profiles.models ? m : m);
 
-  const allProfileKeys = Object.keys(profiles.profiles);
+  const allProfileKeys = Object.keys(summaryProfiles);
   let profilesToRun = cli.profiles.length ? (wantAllProfiles ? allProfileKeys : cli.profiles) : [config.summaryProfile];
 
   // De-duplicate URL list by URL
@@ -442,43 +409,16 @@ async function main() {
       console.log(`${progress} 📄 Extracted ${cleanContent.length} characters`);
       
       // Generate summary using selected provider
-      let summary = "";
-      let tokensUsed = 0;
-      if (config.provider === "openai") {
-        const apiParams = {
-          model: modelKey,
-          messages: [
-            { role: "system", content: activeProfile.system_prompt },
-      {
-        role: "user",
-              content: `Please analyze this article using the ${activeProfile.name} format:\n\nTitle: ${articleData.title}\nURL: ${url}\n\nContent:\n${cleanContent}\n\nPlease structure your response according to these sections:\n${activeProfile.format.sections.map(s => `- ${s}`).join('\n')}`
-            }
-          ]
-        };
-
-        // Conditionally add temperature
-        if (activeProfile.temperature !== 1) {
-          apiParams.temperature = activeProfile.temperature;
-        }
-
-        const summaryResponse = await openai.chat.completions.create(apiParams);
-        summary = summaryResponse.choices[0].message.content;
-        tokensUsed = summaryResponse.usage?.total_tokens || 0;
-      } else if (config.provider === "gemini") {
-        if (!genai) throw new Error("GEMINI_API_KEY not set");
-        const gmodel = genai.getGenerativeModel({ model: modelKey });
-        const prompt = `System: ${activeProfile.system_prompt}\n\nUser: Please analyze this article using the ${activeProfile.name} format.\n\nTitle: ${articleData.title}\nURL: ${url}\n\nContent:\n${cleanContent}\n\nPlease structure your response according to these sections:\n${activeProfile.format.sections.map(s => `- ${s}`).join('\n')}`;
-        const result = await gmodel.generateContent(prompt);
-        summary = result.response.text();
-        // Gemini API v1 doesn't return token count, so we estimate
-        tokensUsed = Math.round((activeProfile.system_prompt.length + prompt.length + summary.length) / 4);
-      } else {
-        throw new Error(`Unsupported provider: ${config.provider}`);
-      }
+      const userPrompt = `Please analyze this article using the ${activeProfile.name} format:\n\nTitle: ${articleData.title}\nURL: ${url}\n\nContent:\n${cleanContent}\n\nPlease structure your response according to these sections:\n${activeProfile.format.sections.map(s => `- ${s}`).join('\n')}`;
+      const { text: summary, tokensUsed, cost } = await llm.chat({
+        model: modelKey,
+        provider: config.provider,
+        system: activeProfile.system_prompt,
+        user: userPrompt,
+        temperature: activeProfile.temperature !== 1 ? activeProfile.temperature : undefined,
+        function: "summarize",
+      });
       totalTokens += tokensUsed;
-      
-      const cost = tokensUsed * (profiles.models[modelKey]?.cost_per_1k_tokens || 0) / 1000;
-      await logApiUsage({ provider: config.provider, model: modelKey, tokensUsed, cost, function: "summarize" });
 
       console.log(`${progress} ✅ Generated summary (${tokensUsed} tokens)`);
       await logEvent({ tag: "summarize:generated", key: taskKey, tokensUsed, provider: config.provider, model: modelKey, profile: profKey });
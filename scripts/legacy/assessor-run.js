@@ -1,10 +1,8 @@
 import fs from "fs/promises";
 import path from "path";
-import OpenAI from "openai";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import "dotenv/config";
 import { parse as csvParse } from "csv-parse/sync";
-import { logApiUsage } from "./logger.js";
+import { createLlmClient } from "../llm-providers.js";
 
 const runId = new Date().toISOString().replace(/[:.]/g, '-');
 console.log(JSON.stringify({ ts: new Date().toISOString(), tag: "run:start", script: process.argv[1], args: process.argv.slice(2), runId }));
@@ -19,8 +17,7 @@ const config = {
   assessorModel: process.env.ASSESSOR_MODEL
 };
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const genai = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
+const llm = createLlmClient(profiles.models);
 
 const outDir = path.resolve("evaluation");
 await fs.mkdir(outDir, { recursive: true });
@@ -69,33 +66,14 @@ ${summary}`;
 
 async function assessOne(provider, model, assessorKey, title, summary){
   const prompt = buildPrompt(assessorKey, title, summary);
-  let text = "";
-  let tokensUsed = 0;
-  if (provider === "openai"){
-    const resp = await openai.chat.completions.create({
-      model,
-      messages: [
-        { role: "system", content: profiles.assessors[assessorKey].system_prompt },
-        { role: "user", content: prompt }
-      ],
-      temperature: 0.3,
-      // max_tokens: 800 // Deprecated for some models
-    });
-    text = resp.choices[0].message.content;
-    tokensUsed = resp.usage.total_tokens;
-  } else if (provider === "gemini"){
-    if (!genai) throw new Error("GEMINI_API_KEY not set");
-    const gmodel = genai.getGenerativeModel({ model: model || "gemini-2.5-pro" });
-    const resp = await gmodel.generateContent(`System: ${profiles.assessors[assessorKey].system_prompt}\n\nUser: ${prompt}`);
-    text = resp.response.text();
-    tokensUsed = Math.round((prompt.length + text.length) / 4);
-  } else {
-    throw new Error(`Unsupported provider: ${provider}`);
-  }
-
-  const cost = tokensUsed * (profiles.models[model]?.cost_per_1k_tokens || 0) / 1000;
-  await logApiUsage({ provider, model, tokensUsed, cost, function: "assess" });
-
+  const { text } = await llm.chat({
+    model: model || "gemini-2.5-pro",
+    provider,
+    system: profiles.assessors[assessorKey].system_prompt,
+    user: prompt,
+    temperature: 0.3,
+    function: "assess",
+  });
   return text;
 }
 
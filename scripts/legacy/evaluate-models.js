@@ -1,8 +1,7 @@
 import fs from "fs/promises";
 import path from "path";
-import OpenAI from "openai";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import "dotenv/config";
+import { createLlmClient } from "../llm-providers.js";
 
 const runId = new Date().toISOString().replace(/[:.]/g, '-');
 // Note: Can't use logger here as it's not a module. Basic console logging.
@@ -11,10 +10,10 @@ console.log(JSON.stringify({ ts: new Date().toISOString(), tag: "run:start", scr
 
 // Load configuration
 const profiles = JSON.parse(await fs.readFile("config/profiles.json", "utf-8"));
+const summaryProfiles = profiles.legacy_profiles;
 
 // Configuration
 const config = {
-  openaiApiKey: process.env.OPENAI_API_KEY,
   evaluationProfile: process.env.EVALUATION_PROFILE || "researcher",
   modelsToTest: process.env.MODELS_TO_TEST ? process.env.MODELS_TO_TEST.split(",") : ["gpt-4o-mini", "gpt-3.5-turbo", "o1-mini"]
 };
@@ -23,14 +22,14 @@ console.log("🔬 Model Evaluation Tool");
 console.log(`📋 Testing models: ${config.modelsToTest.join(", ")}`);
 console.log(`📊 Evaluation profile: ${config.evaluationProfile}\n`);
 
-// Initialize OpenAI client
-const client = new OpenAI({ apiKey: config.openaiApiKey });
+// Shared LLM client; each model's provider comes from profiles.json
+const llm = createLlmClient(profiles.models);
 
 // Load URLs to test
 const urls = (await fs.readFile("urls.txt", "utf-8"))
   .split("\n").map(s => s.trim()).filter(Boolean);
 
-const profile = profiles.profiles[config.evaluationProfile];
+const profile = summaryProfiles[config.evaluationProfile];
 const evaluationResults = [];
 
 console.log(`📊 Testing ${urls.length} URLs across ${config.modelsToTest.length} models...\n`);
@@ -59,33 +58,22 @@ for (const modelName of config.modelsToTest) {
     
     try {
       // Generate summary
-      const summaryResponse = await client.chat.completions.create({
+      const { text: summary, tokensUsed, cost } = await llm.chat({
         model: modelName,
-        messages: [
-          {
-            role: "system",
-            content: profile.system_prompt
-          },
-          {
-            role: "user",
-            content: `Please analyze this article using the ${profile.name} format:
+        system: profile.system_prompt,
+        user: `Please analyze this article using the ${profile.name} format:
 
 URL: ${url}
 
 Content: [Sample content for testing - replace with actual content extraction]
 
 Please structure your response according to these sections:
-${profile.format.sections.map(s => `- ${s}`).join('\n')}`
-          }
-        ],
-        max_tokens: profile.max_tokens,
-        temperature: profile.temperature
+${profile.format.sections.map(s => `- ${s}`).join('\n')}`,
+        maxTokens: profile.max_tokens,
+        temperature: profile.temperature,
+        function: "evaluate",
       });
 
-      const summary = summaryResponse.choices[0].message.content;
-      const tokensUsed = summaryResponse.usage?.total_tokens || 0;
-      const cost = tokensUsed * model.cost_per_1k_tokens / 1000;
-
       modelResults.results.push({
         url: url,
         summary: summary,
@@ -4,10 +4,9 @@ import { load as cheerioLoad } from "cheerio";
 import { parse as csvParse } from "csv-parse/sync";
 import { stringify as csvStringify } from "csv-stringify/sync";
 import crypto from "crypto";
-import OpenAI from "openai";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import "dotenv/config";
-import { logEvent, logApiUsage, setupGlobalErrorHandling } from "./logger.js";
+import { logEvent, setupGlobalErrorHandling } from "../logger.js";
+import { createLlmClient } from "../llm-providers.js";
 
 setupGlobalErrorHandling();
 
@@ -15,6 +14,8 @@ const runId = new Date().toISOString().replace(/[:.]/g, '-');
 await logEvent({ tag: "run:start", script: process.argv[1], args: process.argv.slice(2), runId });
 
 const profiles = JSON.parse(await fs.readFile("config/profiles.json","utf-8"));
+// The summary profiles live under "legacy_profiles"; the pipeline owns the rest of profiles.json
+const summaryProfiles = profiles.legacy_profiles;
 
 const config = {
   provider: (process.env.PROVIDER || "openai").toLowerCase(),
@@ -45,8 +46,7 @@ let modelsToRun = cli.models.length ? cli.models : [config.provider === 'openai'
 let profilesToRun = cli.profiles.length ? cli.profiles : [config.profile];
 
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const genai = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
+const llm = createLlmClient(profiles.models);
 
 const outDir = path.resolve("output");
 await fs.mkdir(outDir, { recursive: true });
@@ -62,13 +62,13 @@ async function main() {
     process.exit(1);
   }
 
-  const profileCfg = profiles.profiles[config.profile];
+  const profileCfg = summaryProfiles[config.profile];
   if (!profileCfg) { console.error("Invalid SUMMARY_PROFILE"); process.exit(1); }
 
   // --- Helpers copied from app.js for consistency ---
-  const allSectionNames = Array.from(new Set(Object.values(profiles.profiles).flatMap(p => p.format?.sections || [])));
+  const allSectionNames = Array.from(new Set(Object.values(summaryProfiles).flatMap(p => p.format?.sections || [])));
   function computeProfileConfigHash(profileKey) {
-    const p = profiles.profiles[profileKey] || {};
+    const p = summaryProfiles[profileKey] || {};
     return crypto.createHash("md5").update(JSON.stringify(p)).digest("hex");
   }
   function computeTaskKey(sourceId, modelKey, profileKey) {
@@ -115,13 +115,8 @@ async function main() {
     if (!text) return "";
     try {
       const modelKey = "gemini-2.5-flash";
-      const model = genai.getGenerativeModel({ model: modelKey });
       const prompt = `Translate the following English text to ${targetLang}. Only return the translated text.\n\n${text}`;
-      const result = await model.generateContent(prompt);
-      const translatedText = result.response.text();
-      const tokensUsed = Math.round((prompt.length + translatedText.length) / 4);
-      const cost = tokensUsed * (profiles.models[modelKey]?.cost_per_1k_tokens || 0) / 1000;
-      await logApiUsage({ provider: "gemini", model: modelKey, tokensUsed, cost, function: "translate" });
+      const { text: translatedText } = await llm.chat({ model: modelKey, user: prompt, function: "translate" });
       return translatedText;
     } catch (e) {
       return `Translation failed: ${e.message}`;
@@ -129,40 +124,16 @@ async function main() {
   }
 
   async function summarize(provider, model, profileCfg, url, title, text){
-    let summary = "";
-    let tokensUsed = 0;
     const systemPrompt = profileCfg.system_prompt;
     const userPrompt = `Please summarize the following article:\n\nTitle: ${title}\nURL: ${url}\n\nContent:\n${text}`;
-
-    if (provider === 'openai') {
-      const resp = await openai.chat.completions.create({
-        model,
-        messages: [
-          {role:'system',content:systemPrompt},
-          {role:'user',content:userPrompt}
-        ],
-        temperature: profileCfg.temperature,
-        // max_tokens: profileCfg.max_tokens // Deprecated for some models
-      });
-      summary = resp.choices[0].message.content;
-      tokensUsed = resp.usage.total_tokens;
-    } else if (provider === 'gemini') {
-      const gmodel = genai.getGenerativeModel({ model });
-      const result = await gmodel.generateContent(`System: ${systemPrompt}\n\nUser: ${userPrompt}`);
-      summary = result.response.text();
-      tokensUsed = Math.round((systemPrompt.length + userPrompt.length + summary.length) / 4);
-    }
-    
-    const cost = tokensUsed * (profiles.models[model]?.cost_per_1k_tokens || 0) / 1000;
-    await logApiUsage({ provider, model, tokensUsed, cost, function: "summarize" });
-
+    const { text: summary } = await llm.chat({ model, provider, system: systemPrompt, user: userPrompt, temperature: profileCfg.temperature, function: "summarize" });
     return summary;
   }
 
   const allSummaries = [];
   for (const modelKey of modelsToRun) {
     for (const profileKey of profilesToRun) {
-      const activeProfile = profiles.profiles[profileKey];
+      const activeProfile = summaryProfiles[profileKey];
       if (!activeProfile) {
         console.log(`✗ Profile ${profileKey} not found, skipping.`);
         continue;
@@ -1,10 +1,8 @@
 import fs from "fs/promises";
 import path from "path";
-import OpenAI from "openai";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import "dotenv/config";
 import { parse as csvParse, stringify as csvStringify } from "csv-parse/sync";
-import { logApiUsage } from "./logger.js";
+import { createLlmClient } from "../llm-providers.js";
 
 const runId = new Date().toISOString().replace(/[:.]/g, '-');
 console.log(JSON.stringify({ ts: new Date().toISOString(), tag: "run:start", script: process.argv[1], args: process.argv.slice(2), runId }));
@@ -46,36 +44,11 @@ if (!enhancerProfile) {
   process.exit(1);
 }
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const genai = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
+const llm = createLlmClient(profiles.models);
 
 async function enhanceSummary(provider, model, systemPrompt, summary) {
   const userPrompt = `Please revise the following summary:\n\n${summary}`;
-  let enhancedSummary = "";
-  let tokensUsed = 0;
-
-  if (provider === "openai") {
-    const resp = await openai.chat.completions.create({
-      model,
-      messages: [{ role: "system", content: systemPrompt }, { role: "user", content: userPrompt }],
-      temperature: 0.5,
-      // max_tokens: 2000 // Deprecated for some models
-    });
-    enhancedSummary = resp.choices[0].message.content;
-    tokensUsed = resp.usage.total_tokens;
-  } else if (provider === "gemini") {
-    if (!genai) throw new Error("GEMINI_API_KEY not set");
-    const gmodel = genai.getGenerativeModel({ model });
-    const resp = await gmodel.generateContent(`System: ${systemPrompt}\n\nUser: ${userPrompt}`);
-    enhancedSummary = resp.response.text();
-    tokensUsed = Math.round((systemPrompt.length + userPrompt.length + enhancedSummary.length) / 4);
-  } else {
-    throw new Error(`Unsupported provider: ${provider}`);
-  }
-
-  const cost = tokensUsed * (profiles.models[model]?.cost_per_1k_tokens || 0) / 1000;
-  await logApiUsage({ provider, model, tokensUsed, cost, function: "enhance" });
-
+  const { text: enhancedSummary } = await llm.chat({ model, provider, system: systemPrompt, user: userPrompt, temperature: 0.5, function: "enhance" });
   return enhancedSummary;
 }
 
@@ -0,0 +1,88 @@
+import fs from "fs/promises";
+import path from "path";
+import { createHash } from "crypto";
+
+// Deterministic stand-ins for the LLM providers, so stages 2–4 can run without API keys:
+//   record  calls the real provider and saves every request/response pair
+//   replay  answers from the saved pairs and never touches the network
+//   stub    answers with templated text built from the request
+// Pick a mode with `--mock <mode>` on any stage or LLM_MOCK=<mode> in the environment.
+// Recordings are one JSON file per request in data/llm_recordings/ (LLM_RECORDINGS_DIR
+// moves them, e.g. to a fixture folder checked in for CI), named after a hash of the
+// model, the prompts and the parameters.
+
+export const MOCK_MODES = ['record', 'replay', 'stub'];
+
+export const DEFAULT_RECORDINGS_DIR = path.resolve(process.cwd(), "data", "llm_recordings");
+
+/**
+ * Reads the mock mode from the command line (`--mock <mode>`) or the LLM_MOCK variable.
+ * @param {string[]} [argv=process.argv]
+ * @param {object} [env=process.env]
+ * @returns {string|null} One of `MOCK_MODES`, or null for real calls.
+ * @throws {Error} When the mode is not one of `MOCK_MODES`.
+ */
+export function mockModeFromArgs(argv = process.argv, env = process.env) {
+  const index = argv.indexOf('--mock');
+  const mode = (index !== -1 ? argv[index + 1] : env.LLM_MOCK) || null;
+  if (mode && !MOCK_MODES.includes(mode)) {
+    throw new Error(`Unknown mock mode '${mode}'. Use one of: ${MOCK_MODES.join(', ')}.`);
+  }
+  return mode;
+}
+
+/**
+ * Hashes what decides an LLM's answer. The `function` label is left out, so the same prompt
+ * replays the same answer wherever it is sent from.
+ * @param {{model: string, system?: string, user: string, temperature?: number, maxTokens?: number}} request
+ * @returns {string} A hex SHA-256.
+ */
+export function requestKey({ model, system = '', user, temperature, maxTokens }) {
+  const params = { model, system, user, temperature: temperature ?? null, maxTokens: maxTokens ?? null };
+  return createHash('sha256').update(JSON.stringify(params)).digest('hex');
+}
+
+/**
+ * Builds the templated answer of stub mode: the same request always gets the same text.
+ * @param {{model: string, user: string, function?: string}} request
+ * @returns {string}
+ */
+export function stubText(request) {
+  const preview = request.user.replace(/\s+/g, ' ').trim().slice(0, 80);
+  return `[STUB ${request.model} ${request.function || 'chat'} ${requestKey(request).slice(0, 8)}] ${preview}`;
+}
+
+/**
+ * Opens a recordings folder.
+ * @param {string} [dir] - Defaults to LLM_RECORDINGS_DIR or data/llm_recordings.
+ * @returns {{dir: string, load: (request: object) => Promise<object|null>,
+ *   save: (request: object, response: {text: string, tokensUsed: number}) => Promise<void>}}
+ *   `load` returns the saved `{ request, response }` or null when the request was never recorded.
+ */
+export function openRecordings(dir = process.env.LLM_RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR) {
+  const fileFor = (request) => path.join(dir, `${requestKey(request).slice(0, 32)}.json`);
+  return {
+    dir,
+
+    async load(request) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(request), "utf-8"));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+
+    async save(request, response) {
+      const { model, system = '', user, temperature, maxTokens } = request;
+      const recording = {
+        recorded_at: new Date().toISOString(),
+        function: request.function,
+        request: { model, system, user, temperature: temperature ?? null, maxTokens: maxTokens ?? null },
+        response: { text: response.text, tokensUsed: response.tokensUsed },
+      };
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(request), JSON.stringify(recording, null, 2) + "\n", "utf-8");
+    },
+  };
+}
@@ -0,0 +1,235 @@
+import OpenAI from 'openai';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { logApiUsage } from './logger.js';
+import { mockModeFromArgs, openRecordings, stubText } from './llm-mock.js';
+
+// One way to call a language model from every stage. Models are registered in the "models"
+// block of profiles.json; the entry's `provider` picks the client, so moving the editor from
+// Gemini to OpenAI is a matter of changing `defaults.editor_model`:
+//   "gpt-4o-mini": {
+//     "provider": "openai",        a key of PROVIDERS below
+//     "api_model": "gpt-4o-mini",  the name sent to the API (defaults to the key)
+//     "cost_per_1k_tokens": 0.0015
+//   }
+// Models missing from profiles.json still work when their name gives the provider away
+// (gpt-*, o1-*, gemini-*). Local servers that speak the OpenAI API (Ollama, llama.cpp, vLLM)
+// use the "openai_compatible" provider with the server's `base_url`; the key is optional and
+// their calls are logged at zero cost:
+//   "llama3.1:8b": {
+//     "provider": "openai_compatible",
+//     "base_url": "http://localhost:11434/v1",
+//     "api_key_env": "LOCAL_LLM_API_KEY"   optional: the .env variable holding the server's key
+//   }
+// `--mock record|replay|stub` (or LLM_MOCK) swaps the providers for llm-mock.js.
+
+/** An LLM call that failed: missing API key, unknown provider or an error from the API. */
+export class LlmError extends Error {
+  constructor(message, { provider, model, cause } = {}) {
+    super(message, { cause });
+    this.name = 'LlmError';
+    this.provider = provider;
+    this.model = model;
+  }
+}
+
+// Hangul, kana and CJK ideographs: about one token per character or more
+const WIDE_CHARACTERS = /[\u1100-\u11ff\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g;
+// Used when profiles.json gives a model no `context_window`; small enough for any current model
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Estimates the token count of some texts without a tokenizer: about four characters per token
+ * for Latin text, one per Hangul or CJK character. Errs on the high side for Korean.
+ * @param {...string} texts
+ * @returns {number}
+ */
+export function estimateTokens(...texts) {
+  let tokens = 0;
+  for (const text of texts) {
+    if (!text) continue;
+    const wide = (text.match(WIDE_CHARACTERS) || []).length;
+    tokens += wide + (text.length - wide) / 4;
+  }
+  return Math.round(tokens);
+}
+
+async function openAiChat(client, { model, system, user, temperature, maxTokens }) {
+  const response = await client.chat.completions.create({
+    model,
+    messages: [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: user },
+    ],
+    ...(temperature !== undefined ? { temperature } : {}),
+    ...(maxTokens !== undefined ? { max_tokens: maxTokens } : {}),
+  });
+  const text = response.choices[0]?.message?.content || '';
+  return { text, tokensUsed: response.usage?.total_tokens ?? estimateTokens(system, user, text) };
+}
+
+/**
+ * The built-in providers. Each creates its client lazily from the model's settings
+ * (`apiKey`, `baseUrl`) and answers a chat with `{ text, tokensUsed }`.
+ */
+const PROVIDERS = {
+  openai: {
+    apiKeyEnv: 'OPENAI_API_KEY',
+    createClient: ({ apiKey, baseUrl }) => new OpenAI({ apiKey, ...(baseUrl ? { baseURL: baseUrl } : {}) }),
+    chat: openAiChat,
+  },
+  gemini: {
+    apiKeyEnv: 'GEMINI_API_KEY',
+    createClient: ({ apiKey }) => new GoogleGenerativeAI(apiKey),
+    async chat(client, { model, system, user, temperature, maxTokens }) {
+      const generationConfig = {
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(maxTokens !== undefined ? { maxOutputTokens: maxTokens } : {}),
+      };
+      const generativeModel = client.getGenerativeModel({ model, generationConfig });
+      const result = await generativeModel.generateContent(system ? [system, user] : user);
+      const text = result.response.text();
+      return { text, tokensUsed: result.response.usageMetadata?.totalTokenCount ?? estimateTokens(system, user, text) };
+    },
+  },
+  openai_compatible: {
+    requiresBaseUrl: true,
+    optionalApiKey: true,
+    free: true,
+    // Local servers mostly ignore the key, but the SDK refuses to start without one
+    createClient: ({ apiKey, baseUrl }) => new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: baseUrl }),
+    chat: openAiChat,
+  },
+};
+
+const inferProvider = (modelKey) => {
+  const name = modelKey.replace(/^models\//, '');
+  if (/^gemini/i.test(name)) return 'gemini';
+  if (/^(gpt-|o\d|chatgpt-)/i.test(name)) return 'openai';
+  return null;
+};
+
+/**
+ * Looks up a model in profiles.json and works out who serves it.
+ * @param {object} models - The "models" block of profiles.json.
+ * @param {string} modelKey - A key of `models`, or a bare API model name.
+ * @param {string} [fallbackProvider] - Used when neither the entry nor the name gives a provider.
+ * @returns {{key: string, provider: string|null, apiModel: string, costPer1k: number,
+ *   baseUrl: string|null, apiKeyEnv: string|null}} Local (`openai_compatible`) models cost 0
+ *   whatever their entry says.
+ */
+export function resolveModel(models, modelKey, fallbackProvider) {
+  const entry = models?.[modelKey] || {};
+  const provider = entry.provider || inferProvider(modelKey) || fallbackProvider || null;
+  return {
+    key: modelKey,
+    provider,
+    apiModel: entry.api_model || modelKey,
+    costPer1k: PROVIDERS[provider]?.free ? 0 : (entry.cost_per_1k_tokens || 0),
+    baseUrl: entry.base_url || null,
+    apiKeyEnv: entry.api_key_env || PROVIDERS[provider]?.apiKeyEnv || null,
+  };
+}
+
+/**
+ * The number of tokens a model accepts per request, prompt and answer together.
+ * @param {object} models - The "models" block of profiles.json.
+ * @param {string} modelKey
+ * @returns {number} The entry's `context_window`, or `DEFAULT_CONTEXT_WINDOW`.
+ */
+export function contextWindowFor(models, modelKey) {
+  return models?.[modelKey]?.context_window || DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Creates the LLM client for one run.
+ * @param {object} models - The "models" block of profiles.json.
+ * @param {object} [env=process.env] - Where API keys are read from.
+ * @param {object} [options]
+ * @param {string|null} [options.mock] - 'record', 'replay' or 'stub' (see llm-mock.js); read
+ *   from `--mock` or LLM_MOCK when not given.
+ * @param {object} [options.recordings] - From `openRecordings`, for record and replay.
+ * @returns {{
+ *   mock: string|null,
+ *   isAvailable: (modelKey: string, provider?: string) => boolean,
+ *   chat: (request: {model: string, provider?: string, system?: string, user: string,
+ *     temperature?: number, maxTokens?: number, function: string}) => Promise<{text: string, tokensUsed: number,
+ *     cost: number, provider: string, model: string}>
+ * }} `isAvailable` tells whether a model's provider is known and configured (API key, base URL),
+ *   which replay and stub always are; `chat` sends one system + user exchange, logs it to
+ *   logs/api_usage.csv and throws an `LlmError` on failure.
+ */
+export function createLlmClient(models, env = process.env, { mock = mockModeFromArgs(process.argv, env), recordings } = {}) {
+  const clients = new Map();
+  const recordingStore = mock === 'record' || mock === 'replay' ? (recordings || openRecordings()) : null;
+  if (mock) console.log(`🎭 LLM mock mode: ${mock}${recordingStore ? ` (recordings in ${recordingStore.dir})` : ''}`);
+
+  // Why a model cannot be called, or null when it can
+  const configurationProblem = (model) => {
+    const provider = PROVIDERS[model.provider];
+    if (!provider) return `Unknown provider '${model.provider || 'none'}' for model '${model.key}'. Set "provider" on its entry in profiles.json.`;
+    if (provider.requiresBaseUrl && !model.baseUrl) return `Model '${model.key}' needs a "base_url" in profiles.json for the ${model.provider} provider.`;
+    if (!provider.optionalApiKey && !env[model.apiKeyEnv]) return `${model.apiKeyEnv} is not set in .env`;
+    return null;
+  };
+
+  // One client per provider, server and key
+  const clientFor = (model) => {
+    const problem = configurationProblem(model);
+    if (problem) throw new LlmError(problem, { provider: model.provider, model: model.key });
+    const cacheKey = [model.provider, model.baseUrl, model.apiKeyEnv].join('|');
+    if (!clients.has(cacheKey)) {
+      clients.set(cacheKey, PROVIDERS[model.provider].createClient({ apiKey: env[model.apiKeyEnv], baseUrl: model.baseUrl }));
+    }
+    return clients.get(cacheKey);
+  };
+
+  const callProvider = async (model, { system, user, temperature, maxTokens }) => {
+    const client = clientFor(model);
+    try {
+      return await PROVIDERS[model.provider].chat(client, { model: model.apiModel, system, user, temperature, maxTokens });
+    } catch (e) {
+      // Name the server: "Connection error." alone does not say which local server is down
+      const where = model.baseUrl ? ` (${model.baseUrl})` : '';
+      throw new LlmError(`${e.message}${where}`, { provider: model.provider, model: model.key, cause: e });
+    }
+  };
+
+  return {
+    mock,
+
+    isAvailable(modelKey, fallbackProvider) {
+      if (mock === 'replay' || mock === 'stub') return true;
+      return configurationProblem(resolveModel(models, modelKey, fallbackProvider)) === null;
+    },
+
+    async chat({ model: modelKey, provider: fallbackProvider, system = '', user, temperature, maxTokens, function: functionName }) {
+      const model = resolveModel(models, modelKey, fallbackProvider);
+      const request = { model: modelKey, system, user, temperature, maxTokens, function: functionName };
+
+      let response;
+      let provider = model.provider;
+      let { costPer1k } = model;
+      if (mock === 'stub') {
+        const text = stubText(request);
+        response = { text, tokensUsed: estimateTokens(system, user, text) };
+        provider = 'mock_stub';
+        costPer1k = 0;
+      } else if (mock === 'replay') {
+        const recording = await recordingStore.load(request);
+        if (!recording) {
+          throw new LlmError(`No recording for this ${modelKey} request in ${recordingStore.dir}. Run once with --mock record.`, { provider: 'mock_replay', model: modelKey });
+        }
+        response = recording.response;
+        provider = 'mock_replay';
+        costPer1k = 0;
+      } else {
+        response = await callProvider(model, request);
+        if (mock === 'record') await recordingStore.save(request, response);
+      }
+
+      const cost = (response.tokensUsed / 1000) * costPer1k;
+      await logApiUsage({ provider, model: modelKey, tokensUsed: response.tokensUsed, cost, function: functionName });
+      return { text: response.text, tokensUsed: response.tokensUsed, cost, provider, model: modelKey };
+    },
+  };
+}
@@ -0,0 +1,87 @@
+import { createHash } from "crypto";
+import { tokenize } from "./keywords.js";
+
+// 64-bit SimHash over word shingles (Charikar). Syndicated copies of a story differ only in
+// boilerplate and edits, so their fingerprints land a few bits apart; unrelated texts differ
+// in about 32 bits. 8 bits is roughly a cosine similarity of 0.92 between the shingle sets.
+
+const SHINGLE_SIZE = 3;
+export const DEFAULT_MAX_DISTANCE = 8;
+
+const popcount32 = (n) => {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+/**
+ * Computes the SimHash fingerprint of a text.
+ * @param {string} text - The document text.
+ * @returns {string} 16 hex characters, or '' when the text has no terms.
+ */
+export function simhash(text) {
+  const terms = tokenize(text);
+  if (terms.length === 0) return '';
+  const weights = new Array(64).fill(0);
+  const count = Math.max(1, terms.length - SHINGLE_SIZE + 1);
+
+  for (let i = 0; i < count; i++) {
+    const digest = createHash('md5').update(terms.slice(i, i + SHINGLE_SIZE).join(' ')).digest();
+    const halves = [digest.readUInt32BE(0), digest.readUInt32BE(4)];
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (halves[bit >> 5] >>> (bit & 31)) & 1 ? 1 : -1;
+    }
+  }
+
+  const halves = [0, 0];
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) halves[bit >> 5] |= 1 << (bit & 31);
+  }
+  return halves.map(half => (half >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Number of differing bits between two fingerprints from `simhash`.
+ * @param {string} a - A fingerprint.
+ * @param {string} b - Another fingerprint.
+ * @returns {number} The Hamming distance (0-64).
+ */
+export function hammingDistance(a, b) {
+  return popcount32(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16))
+    + popcount32(parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16));
+}
+
+/**
+ * Creates an in-memory index of fingerprints. Only originals should be added, so every
+ * duplicate points at the first copy instead of forming chains.
+ * @param {number} [maxDistance=DEFAULT_MAX_DISTANCE] - Largest Hamming distance counted as a near-duplicate.
+ * @returns {{ add: (id: string|number, fingerprint: string) => void,
+ *   find: (fingerprint: string, excludeId?: string|number) => string|number|null,
+ *   isNear: (a: string, b: string) => boolean }} `isNear` compares two fingerprints directly,
+ *   with the same threshold.
+ */
+export function makeNearDuplicateIndex(maxDistance = DEFAULT_MAX_DISTANCE) {
+  const entries = [];
+  return {
+    add(id, fingerprint) {
+      if (fingerprint) entries.push({ id, fingerprint });
+    },
+    find(fingerprint, excludeId) {
+      if (!fingerprint) return null;
+      let best = null;
+      let bestDistance = Infinity;
+      for (const entry of entries) {
+        if (String(entry.id) === String(excludeId)) continue;
+        const distance = hammingDistance(fingerprint, entry.fingerprint);
+        if (distance <= maxDistance && distance < bestDistance) {
+          best = entry.id;
+          bestDistance = distance;
+        }
+      }
+      return best;
+    },
+    isNear(a, b) {
+      return Boolean(a && b) && hammingDistance(a, b) <= maxDistance;
+    },
+  };
+}
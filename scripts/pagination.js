@@ -0,0 +1,131 @@
+import { load as cheerioLoad } from "cheerio";
+import { extractArticleContent } from "./article-extractor.js";
+import { findSiteRule } from "./scraping-rules.js";
+
+// Follows multi-page articles (?page=2, /2, rel="next") and joins the pages into one text
+// (and one Markdown document).
+
+const DEFAULT_MAX_PAGES = 5;
+const PAGE_PARAM = /^(?:page|pg|p|pageno|pagenum|pageindex|cpage)$/i;
+const PATH_PAGE_NUMBER = /[/_-](?:page[/_-]?)?(\d{1,2})(?=(?:\.\w+)?\/?$)/i;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolves the pagination settings for a URL: the site's `pagination` block overrides the default.
+ * @param {object} rules - The parsed scraping rules.
+ * @param {string} url - The article URL.
+ * @returns {{max_pages: number, next_selector?: string, follow_rel_next: boolean}}
+ */
+export function paginationFor(rules, url) {
+  return {
+    max_pages: DEFAULT_MAX_PAGES,
+    follow_rel_next: true,
+    ...(rules.default.pagination || {}),
+    ...(findSiteRule(rules, url).pagination || {}),
+  };
+}
+
+/**
+ * Splits a page URL into the article it belongs to and its page number, from a page-like
+ * query parameter (?page=2) or a short trailing number in the path (/2, -2.html, /page/2).
+ * @param {URL} url - A page URL.
+ * @returns {{article: string, page: number}} Pages without a number count as page 1.
+ */
+function pageOf(url) {
+  const params = [...url.searchParams.entries()];
+  const pageParam = params.find(([name, value]) => PAGE_PARAM.test(name) && /^\d+$/.test(value));
+  if (pageParam) {
+    const rest = params.filter(param => param !== pageParam).map(([name, value]) => `${name}=${value}`).sort();
+    return { article: `${url.host}${url.pathname}?${rest.join('&')}`, page: parseInt(pageParam[1], 10) };
+  }
+  const match = url.pathname.match(PATH_PAGE_NUMBER);
+  const pathname = (match ? url.pathname.replace(PATH_PAGE_NUMBER, '') : url.pathname).replace(/\/$/, '');
+  return { article: `${url.host}${pathname}${url.search}`, page: match ? parseInt(match[1], 10) : 1 };
+}
+
+/**
+ * Whether a rel=next link is the next page of the same article rather than the next article
+ * of a series: same article part of the URL, and a page number one higher.
+ * @param {URL} current - The current page URL.
+ * @param {URL} next - The candidate next page URL.
+ * @returns {boolean}
+ */
+function isSameArticle(current, next) {
+  const from = pageOf(current);
+  const to = pageOf(next);
+  return from.article === to.article && to.page === from.page + 1;
+}
+
+/**
+ * Finds the URL of the next page of an article.
+ * @param {string} html - The current page HTML.
+ * @param {string} pageUrl - The current page URL.
+ * @param {object} settings - The settings from `paginationFor`.
+ * @returns {string} The absolute next page URL, or '' when there is none.
+ */
+export function findNextPageUrl(html, pageUrl, settings) {
+  const $ = cheerioLoad(html || '');
+  const resolve = (href) => {
+    try {
+      return href ? new URL(href.trim(), pageUrl) : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // An explicit selector in scraping_rules.json is trusted as-is
+  if (settings.next_selector) {
+    const next = resolve($(settings.next_selector).first().attr('href'));
+    return next && /^https?:$/.test(next.protocol) ? next.href : '';
+  }
+  if (!settings.follow_rel_next) return '';
+
+  const next = resolve($('link[rel="next"]').first().attr('href') || $('a[rel~="next"]').first().attr('href'));
+  return next && isSameArticle(new URL(pageUrl), next) ? next.href : '';
+}
+
+/**
+ * Extracts an article and follows its pagination, concatenating the pages in order.
+ * Stops at `max_pages`, at a page that was already seen, or at a page that adds no new text.
+ * @param {object} firstPage - { html, url } of the loaded first page.
+ * @param {object} rules - The parsed scraping rules.
+ * @param {(url: string) => Promise<{html: string, url: string}>} loadPage - Loads a further page.
+ * @param {number} [delayMs=0] - Pause between page loads (the site's politeness delay).
+ * @returns {Promise<{title: string, content: string, markdown: string, method: string, page_count: number}>}
+ */
+export async function extractPaginatedArticle(firstPage, rules, loadPage, delayMs = 0) {
+  const settings = paginationFor(rules, firstPage.url);
+  const first = extractArticleContent(firstPage.html, firstPage.url, rules);
+  const contents = [first.content];
+  const markdowns = [first.markdown];
+  const seen = new Set([firstPage.url]);
+
+  let page = firstPage;
+  while (contents.length < settings.max_pages) {
+    const nextUrl = findNextPageUrl(page.html, page.url, settings);
+    if (!nextUrl || seen.has(nextUrl)) break;
+    seen.add(nextUrl);
+
+    if (delayMs > 0) await sleep(delayMs);
+    try {
+      page = await loadPage(nextUrl);
+    } catch (e) {
+      console.log(`  ⚠️  Could not load page ${contents.length + 1} (${nextUrl}): ${e.message}`);
+      break;
+    }
+    const { content, markdown } = extractArticleContent(page.html, page.url, rules);
+    if (!content || contents.includes(content)) break;
+    contents.push(content);
+    markdowns.push(markdown);
+    console.log(`  📑 Added page ${contents.length} from ${nextUrl}`);
+  }
+
+  return {
+    title: first.title,
+    content: contents.join('\n\n'),
+    markdown: markdowns.join('\n\n'),
+    method: first.method,
+    page_count: contents.length,
+  };
+}
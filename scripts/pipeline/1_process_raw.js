@@ -1,13 +1,31 @@
 import fs from "fs/promises";
-import { existsSync } from "fs";
 import path from "path";
 import { parse as csvParse } from "csv-parse/sync";
 import { stringify as csvStringify } from "csv-stringify/sync";
 import "dotenv/config";
 import puppeteerExtra from "puppeteer-extra";
-import { YoutubeTranscript } from "youtube-transcript";
 import StealthPlugin from "puppeteer-extra-plugin-stealth";
 import { setupGlobalErrorHandling, logEvent } from "../logger.js";
+import { fetchFeed } from "../feed-reader.js";
+import { extractPublishDate, extractCanonicalUrl } from "../article-metadata.js";
+import { extractArticleContent } from "../article-extractor.js";
+import { extractPaginatedArticle } from "../pagination.js";
+import { makeKeywordExtractor } from "../keywords.js";
+import { findSiteRule } from "../scraping-rules.js";
+import { runPoliteQueue } from "../scrape-queue.js";
+import { saveFailureArtifacts } from "../failure-artifacts.js";
+import { SUPPORTED_FILE_EXTENSIONS, hashContent, extractFileContent } from "../file-ingest.js";
+import { normalizeUrl, canonicalKey, isSiteRoot } from "../url-normalizer.js";
+import { fetchHtml, detectJsChallenge, BROWSER_USER_AGENT } from "../http-fetcher.js";
+import { applyPageSetup, runSiteActions } from "../site-actions.js";
+import { simhash, makeNearDuplicateIndex } from "../near-duplicates.js";
+import { loadCookies, reportCookieHealth, isLoggedIn } from "../cookie-jar.js";
+import { scrapeYoutubeVideo } from "../youtube.js";
+import { extractComments } from "../comments.js";
+import { makeRobotsPolicy, withRobotsToken } from "../robots.js";
+import { detectAccessWall } from "../access-wall.js";
+import { openSnapshotArchive } from "../snapshot-archive.js";
+import { detectLanguage } from "../language.js";
 import { fileURLToPath } from 'url';
 
 setupGlobalErrorHandling();
@@ -18,173 +36,480 @@ const __dirname = path.dirname(__filename);
 
 const CONFIG_PATH = path.resolve(process.cwd(), "config", "profiles.json");
 const RAW_DIR = path.resolve(process.cwd(), "data", "1_raw");
+const RAW_FILES_DIR = path.join(RAW_DIR, "files");
 const PROCESSED_DIR = path.resolve(process.cwd(), "data", "2_processed");
 const PROCESSED_FILE_PATH = path.join(PROCESSED_DIR, "processed_content.csv");
 const PROCESSED_FILE_PATH_TEST = path.join(PROCESSED_DIR, "processed_content_test.csv");
 const TEMP_PROFILE_DIR = path.resolve(process.cwd(), "temp_chrome_profile_main");
 const SCRAPING_RULES_PATH = path.join(process.cwd(), 'config', 'scraping_rules.json');
 
+// Column order of processed_content.csv. Older files are migrated to this header on load.
+// `content_markdown` keeps headings, lists and tables for later stages; `content` stays plain text.
+// `comments` is a JSON array of the top comments/replies for sites with a `comments` rule.
+// `language` is the detected ISO 639-1 code of the content (blank when unknown).
+const PROCESSED_COLUMNS = [
+  'processed_id', 'raw_id', 'source_type', 'source_name', 'url',
+  'fetch_date', 'content_date', 'scraping_status', 'attempts', 'title', 'author',
+  'keywords', 'language', 'final_url', 'canonical_url', 'http_status', 'fetcher', 'extraction_method', 'page_count', 'duration_seconds', 'fetch_ms',
+  'debug_artifacts', 'content_hash',
+  'simhash', 'duplicate_of', 'comments', 'content', 'content_markdown'
+];
+const FEED_SOURCE_TYPES = new Set(['feed', 'rss', 'atom']);
+
 const isTestMode = process.argv.includes('--test');
+const isRetryFailedMode = process.argv.includes('--retry-failed');
+// Re-extract from archived HTML only; nothing is fetched
+const isOfflineMode = process.argv.includes('--offline');
+
+const pagesArgIndex = process.argv.indexOf('--pages');
+const pagesArg = pagesArgIndex !== -1 ? parseInt(process.argv[pagesArgIndex + 1], 10) : NaN;
 
 const SCRAPING_CONFIG = {
   chromeUserData: process.env.CHROME_USER_DATA,
   chromeProfile: process.env.CHROME_PROFILE || "Default",
   timeout: 60000,
+  // Total number of browser pages scraping at the same time (--pages N or SCRAPE_PAGES)
+  pages: pagesArg || parseInt(process.env.SCRAPE_PAGES, 10) || 4,
 };
 
+// Per-domain limits; overridden by `politeness` in scraping_rules.json (default and per site)
+const DEFAULT_POLITENESS = { max_concurrent: 1, min_delay_ms: 3000 };
+const UNLIMITED_POLITENESS = { max_concurrent: Infinity, min_delay_ms: 0 };
+
+// Retry policy; overridden by `retry` in the default block of scraping_rules.json.
+// A URL gets `attempts_per_run` tries per run, waiting backoff_base_ms * 2^n between them,
+// and is never attempted more than `max_attempts` times in total (tracked in the `attempts` column).
+const DEFAULT_RETRY_POLICY = { max_attempts: 4, attempts_per_run: 2, backoff_base_ms: 5000 };
+// Challenges are often lifted on a later try; paywalls and login walls need new cookies first
+const RETRYABLE_STATUSES = new Set(['failure', 'critical_failure', 'challenge']);
+const MIN_CONTENT_LENGTH = 200;
+
 // --- Main Logic ---
 
-// This function is executed in the browser context
-function extractArticleContent(rules) {
-    const { hostname } = window.location;
-    let siteRule = {};
+// Domains already reported as logged out during this run
+const loggedOutDomains = new Set();
 
-    // Find the specific rule for the current hostname
-    for (const domain in rules.specific_rules) {
-        if (hostname.includes(domain)) {
-            siteRule = rules.specific_rules[domain];
-            break;
-        }
-    }
+// robots.txt policy of the current run (set in main), and the Crawl-delay of each host in ms
+let robotsPolicy = null;
+const crawlDelays = new Map();
+// Raw HTML of earlier successful scrapes (set in main)
+let snapshotArchive = null;
 
-    // Combine default and specific rules
-    const contentSelector = siteRule.content_selector || rules.default.content_selector;
-    const removeSelectors = rules.default.remove_selectors.concat(siteRule.remove_selectors || []);
-    
-    // Remove unwanted elements
-    removeSelectors.forEach(selector => {
-        document.querySelectorAll(selector).forEach(elem => elem.remove());
-    });
+/**
+ * Throws when robots.txt does not let us load a URL. Used for the further pages of an article;
+ * the first page is checked before the record is queued.
+ * @param {string} url - The page URL.
+ */
+async function ensureAllowedByRobots(url) {
+  if (!robotsPolicy) return;
+  const verdict = await robotsPolicy.check(url);
+  if (!verdict.allowed) throw new Error(`disallowed by robots.txt (${verdict.rule || verdict.unreachable})`);
+}
 
-    let content = '';
-    const element = document.querySelector(contentSelector);
-    if (element) {
-        content = element.textContent;
-    }
+/**
+ * Checks robots.txt of the origin a redirect ended on. The requested URL is checked before the
+ * record is queued, but a redirect to another host falls under that host's robots.txt.
+ * @param {string} url - The requested URL.
+ * @param {string} finalUrl - The URL the page was loaded from.
+ * @returns {Promise<object|null>} A scrape result that discards the page, or null when it may be used.
+ */
+async function checkRedirectTarget(url, finalUrl) {
+  if (!robotsPolicy || !finalUrl || new URL(finalUrl).origin === new URL(url).origin) return null;
+  const verdict = await robotsPolicy.check(finalUrl);
+  if (verdict.allowed) return null;
+  const host = new URL(finalUrl).hostname;
+  if (verdict.unreachable) {
+    console.log(`  🤖 ${url} redirected to ${finalUrl}, whose robots.txt could not be fetched (${verdict.unreachable}).`);
+    return {
+      title: 'N/A (robots.txt unreachable)',
+      content: `${url} redirected to ${host}, whose robots.txt could not be fetched (${verdict.unreachable}); the page was discarded.`,
+      status: 'failure', final_url: finalUrl,
+    };
+  }
+  console.log(`  🤖 Discarding ${url}: it redirected to ${finalUrl}, which robots.txt disallows (${verdict.rule}).`);
+  return {
+    title: 'N/A (Disallowed by robots.txt)',
+    content: `Content not used: ${url} redirected to ${finalUrl} and robots.txt of ${host} disallows it (${verdict.rule}).`,
+    status: 'disallowed_by_robots', final_url: finalUrl,
+  };
+}
 
-    // Fallback if specific selector fails or for other sites
-    if (!content || content.length < 200) {
-        const fallbackElement = document.querySelector(rules.default.fallback_selector);
-        if (fallbackElement) {
-            content = fallbackElement.textContent;
-        }
-    }
-    
-    const cleanContent = content.replace(/\s+/g, ' ').trim();
-    return { title: document.title, content: cleanContent };
+/**
+ * The User-Agent sent to a site: its `user_agent` rule or the default one, followed by our
+ * robots.txt token so the site sees the agent whose robots.txt rules we follow.
+ * @param {object} siteRule - The site rule from scraping_rules.json.
+ * @param {string} defaultUserAgent - The agent of the fetcher (HTTP or browser).
+ * @returns {string}
+ */
+function userAgentFor(siteRule, defaultUserAgent) {
+  return withRobotsToken(siteRule.user_agent || defaultUserAgent, robotsPolicy?.userAgent);
 }
 
 /**
- * Scrapes a single URL for its content.
+ * Reports, once per domain and run, that the site's `logged_in_selector` was missing although
+ * cookies were loaded: the session has most likely expired on the server side.
+ * @param {string} sourceName - The domain key in config.authentication.
+ * @param {string} url - The page that showed the logged-out state.
+ */
+async function warnLoggedOut(sourceName, url) {
+  if (loggedOutDomains.has(sourceName)) return;
+  loggedOutDomains.add(sourceName);
+  console.log(`  🔒 Not logged in on ${sourceName} although cookies were loaded; the session looks stale. Re-export the cookies (see \`node scripts/cookies.js\`).`);
+  await logEvent({ event: "login_check_failed", domain: sourceName, url });
+}
+
+/**
+ * Loads a page in the browser and extracts it. Used for sites marked `requires_browser` and
+ * when the plain HTTP tier came back thin, blocked or challenged.
  * @param {object} browser - The Puppeteer browser instance.
  * @param {string} url - The URL to scrape.
  * @param {object} config - The configuration object.
- * @returns {Promise<{title: string, content: string, status: string}>}
+ * @param {object} scrapingRules - The parsed scraping rules.
+ * @returns {Promise<object>} The scrape result (see `scrapeUrl`).
  */
-async function scrapeUrl(browser, url, config, scrapingRules) {
+async function scrapeWithBrowser(browser, url, config, scrapingRules) {
   const sourceName = recognizeSource(url);
-
-  if (sourceName === "youtube.com") {
-    try {
-      console.log(`  🎥 Fetching YouTube transcript for: ${url}`);
-      const transcript = await YoutubeTranscript.fetchTranscript(url);
-      const content = transcript.map(item => item.text).join(" ");
-      
-      // Since we don't have a proper title from the transcript, 
-      // we might need a separate way to get it, or leave it blank.
-      // For now, let's use a placeholder. A proper implementation
-      // would use puppeteer to get the title from the page.
-      let page;
-      let title = "YouTube Video";
-      try {
-        page = await browser.newPage();
-        await page.goto(url, { waitUntil: "domcontentloaded" });
-        title = await page.title();
-      } catch (e) {
-        console.log(`  ⚠️  Could not fetch title for ${url}, using placeholder.`);
-      } finally {
-        if(page) await page.close();
-      }
-      
-      console.log(`  📄 Extracted ${content.length} characters from YouTube transcript.`);
-      return { title: title.replace(/ - YouTube$/, ''), content, status: 'success' };
-    } catch (e) {
-      console.error(`  ❌ Error fetching YouTube transcript for ${url}: ${e.message}`);
-      return { title: 'N/A (Transcript Error)', content: e.message, status: 'failure' };
-    }
-  }
-
+  const siteRule = findSiteRule(scrapingRules, url);
   let page;
+  let httpStatus = '';
   try {
     page = await browser.newPage();
     
-    // Add human-like behavior for Instagram to avoid getting blocked
-    if (sourceName === 'instagram.com') {
-        console.log("  👤 Applying human-like behavior for Instagram.");
-        await page.setViewport({ width: 1280, height: 800 + Math.floor(Math.random() * 100) });
-        // Add a small random delay before loading cookies and navigating
-        await new Promise(resolve => setTimeout(resolve, Math.random() * 2000 + 1000));
-    }
+    // User agent, viewport and initial delay declared for the site in scraping_rules.json
+    await applyPageSetup(page, siteRule, userAgentFor(siteRule, await browser.userAgent()));
 
-    if (config.authentication && config.authentication[sourceName] && config.authentication[sourceName].cookies_path) {
-      const cookiesPath = path.resolve(process.cwd(), config.authentication[sourceName].cookies_path);
-      if (existsSync(cookiesPath)) {
+    const auth = config.authentication?.[sourceName];
+    let usingCookies = false;
+    if (auth?.cookies_path) {
+      // Puppeteer JSON, browser-extension exports and Netscape cookies.txt are all accepted
+      const cookies = await loadCookies(auth.cookies_path);
+      if (cookies === null) {
+        console.log(`  ⚠️  Cookie file not found for ${sourceName} at ${path.resolve(process.cwd(), auth.cookies_path)}`);
+      } else if (cookies.length > 0) {
         console.log(`  🔑 Loading cookies for ${sourceName}`);
-        const cookiesString = await fs.readFile(cookiesPath, "utf-8");
-        if(cookiesString && cookiesString.length > 2) { 
-            console.log(`  🔑 Loading cookies for ${sourceName}`);
-            const cookies = JSON.parse(cookiesString);
-            await page.setCookie(...cookies);
-        } else {
-            console.log(`  ℹ️  Cookie file for ${sourceName} is empty. Proceeding without authentication.`);
-        }
+        await page.setCookie(...cookies);
+        usingCookies = true;
       } else {
-        console.log(`  ⚠️  Cookie file not found for ${sourceName} at ${cookiesPath}`);
+        console.log(`  ℹ️  Cookie file for ${sourceName} is empty. Proceeding without authentication.`);
       }
     }
 
-    if (url.includes("bloomberg.com")) {
-      console.log("  🕵️‍♂️ Detected Bloomberg URL, setting User-Agent to Googlebot.");
-      await page.setUserAgent(
-        "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"
-      );
-    }
+    const response = await page.goto(url, { waitUntil: siteRule.wait_until || "networkidle2", timeout: SCRAPING_CONFIG.timeout });
+    httpStatus = response ? response.status() : '';
 
-    await page.goto(url, { waitUntil: "networkidle2", timeout: SCRAPING_CONFIG.timeout });
-
-    if (url.includes("bloomberg.com")) {
-      try {
-        const consentButtonSelector = 'button[id^="truste-consent-button"]';
-        const consentButton = await page.waitForSelector(consentButtonSelector, { timeout: 10000 });
-        if (consentButton) {
-          console.log('  🍪 Clicking cookie consent button.');
-          await consentButton.click();
-          // Wait for a moment to let the page settle after clicking.
-          await new Promise(resolve => setTimeout(resolve, 2000)); 
-        }
-      } catch (e) {
-        console.log('  ✅ Cookie consent button not found or timed out, continuing.');
-      }
+    // Consent clicks, scrolling and "more" buttons declared for the site
+    await runSiteActions(page, siteRule);
+
+    if (usingCookies && await isLoggedIn(page, auth) === false) {
+      await warnLoggedOut(sourceName, url);
     }
     
-    // Pass the rules to the browser context
-    const extractedData = await page.evaluate(extractArticleContent, scrapingRules);
+    // Extraction runs on the rendered HTML in Node, so it behaves the same as offline runs on saved pages
+    const html = await page.content();
+    const finalUrl = page.url();
+    const redirected = await checkRedirectTarget(url, finalUrl);
+    if (redirected) return { ...redirected, fetcher: 'browser', http_status: httpStatus };
+    const contentDate = extractPublishDate(html, finalUrl, scrapingRules);
+    const canonicalUrl = extractCanonicalUrl(html, finalUrl);
+    // Every loaded page, for the snapshot archive
+    const pages = [{ url, final_url: finalUrl, html, http_status: httpStatus }];
+
+    // Further pages are loaded in the same tab, with the site's actions run on each
+    const loadPage = async (nextUrl) => {
+      await ensureAllowedByRobots(nextUrl);
+      const nextResponse = await page.goto(nextUrl, { waitUntil: siteRule.wait_until || "networkidle2", timeout: SCRAPING_CONFIG.timeout });
+      await runSiteActions(page, siteRule);
+      const next = { html: await page.content(), url: page.url() };
+      if (new URL(next.url).origin !== new URL(nextUrl).origin) await ensureAllowedByRobots(next.url);
+      pages.push({ url: nextUrl, final_url: next.url, html: next.html, http_status: nextResponse ? nextResponse.status() : '' });
+      return next;
+    };
+    const { title, content, markdown, method, page_count } = await extractPaginatedArticle(
+      { html, url: finalUrl }, scrapingRules, loadPage, pageDelayFor(scrapingRules, url));
 
-    if (!extractedData.content || extractedData.content.length < 200) {
+    let debugArtifacts = [];
+    const wall = detectAccessWall(html, content, finalUrl, scrapingRules);
+    if (wall) {
+      console.log(`  🧱 ${url} is not the full article: ${wall.status} (${wall.reason})`);
+      debugArtifacts = await saveFailureArtifacts(page, url, {
+        reason: `${wall.status}: ${wall.reason}`,
+        final_url: finalUrl,
+        http_status: httpStatus,
+      });
+    } else if (!content || content.length < MIN_CONTENT_LENGTH) {
       console.log(`  ⚠️  Warning: Limited content extracted from ${url}`);
+      debugArtifacts = await saveFailureArtifacts(page, url, {
+        reason: `Limited content (${(content || '').length} characters)`,
+        final_url: finalUrl,
+        http_status: httpStatus,
+      });
     } else {
-      console.log(`  📄 Extracted ${extractedData.content.length} characters from ${url}`);
+      console.log(`  📄 Extracted ${content.length} characters from ${url} (browser)`);
     }
     
-    return { ...extractedData, status: 'success' };
+    return {
+      title,
+      content,
+      content_markdown: markdown,
+      comments: extractComments(html, finalUrl, scrapingRules),
+      content_date: contentDate,
+      status: wall ? wall.status : 'success',
+      fetcher: 'browser',
+      extraction_method: method,
+      page_count,
+      final_url: finalUrl,
+      canonical_url: canonicalUrl,
+      http_status: httpStatus,
+      debug_artifacts: debugArtifacts,
+      pages,
+    };
   } catch (e) {
     console.error(`  ❌ Error scraping ${url}: ${e.message}`);
-    return { title: 'N/A (Scraping Error)', content: e.message, status: 'failure' };
+    const finalUrl = page ? page.url() : '';
+    const debugArtifacts = page
+      ? await saveFailureArtifacts(page, url, { reason: e.message, final_url: finalUrl, http_status: httpStatus })
+      : [];
+    return {
+      title: 'N/A (Scraping Error)',
+      content: e.message,
+      status: 'failure',
+      fetcher: 'browser',
+      final_url: finalUrl,
+      http_status: httpStatus,
+      debug_artifacts: debugArtifacts,
+    };
   } finally {
     if (page) await page.close();
   }
 }
 
+/**
+ * Fetches a page over plain HTTP and extracts it with cheerio, without a browser.
+ * @param {string} url - The URL to scrape.
+ * @param {object} scrapingRules - The parsed scraping rules.
+ * @returns {Promise<{result?: object, escalate?: string}>} The scrape result, or the reason
+ *   the page needs the browser instead.
+ */
+async function scrapeWithHttp(url, scrapingRules) {
+  const headers = { 'User-Agent': userAgentFor(findSiteRule(scrapingRules, url), BROWSER_USER_AGENT) };
+  let page;
+  try {
+    page = await fetchHtml(url, { headers });
+  } catch (e) {
+    return { escalate: `HTTP fetch failed: ${e.message}` };
+  }
+  const redirected = await checkRedirectTarget(url, page.finalUrl);
+  if (redirected) return { result: { ...redirected, fetcher: 'http', http_status: page.status } };
+  const challenge = detectJsChallenge(page.html);
+  if (challenge) return { escalate: `${challenge} challenge` };
+  if (page.status >= 400) return { escalate: `HTTP ${page.status}` };
+  if (!page.html) return { escalate: `not an HTML page (${page.contentType})` };
+
+  const firstPage = extractArticleContent(page.html, page.finalUrl, scrapingRules);
+  if (firstPage.content.length < MIN_CONTENT_LENGTH) {
+    return { escalate: `thin HTTP result (${firstPage.content.length} characters)` };
+  }
+
+  // Every loaded page, for the snapshot archive
+  const pages = [{ url, final_url: page.finalUrl, html: page.html, http_status: page.status }];
+  const loadPage = async (nextUrl) => {
+    await ensureAllowedByRobots(nextUrl);
+    const next = await fetchHtml(nextUrl, { headers });
+    if (new URL(next.finalUrl).origin !== new URL(nextUrl).origin) await ensureAllowedByRobots(next.finalUrl);
+    if (next.status >= 400 || detectJsChallenge(next.html)) throw new Error(`HTTP ${next.status}`);
+    pages.push({ url: nextUrl, final_url: next.finalUrl, html: next.html, http_status: next.status });
+    return { html: next.html, url: next.finalUrl };
+  };
+  const { title, content, markdown, method, page_count } = await extractPaginatedArticle(
+    { html: page.html, url: page.finalUrl }, scrapingRules, loadPage, pageDelayFor(scrapingRules, url));
+  // The browser may get past a challenge, and it is the one that decides the final status
+  const wall = detectAccessWall(page.html, content, page.finalUrl, scrapingRules);
+  if (wall) return { escalate: `${wall.status}: ${wall.reason}` };
+
+  console.log(`  📄 Extracted ${content.length} characters from ${url} (HTTP)`);
+  return {
+    result: {
+      title,
+      content,
+      content_markdown: markdown,
+      comments: extractComments(page.html, page.finalUrl, scrapingRules),
+      content_date: extractPublishDate(page.html, page.finalUrl, scrapingRules),
+      status: 'success',
+      fetcher: 'http',
+      extraction_method: method,
+      page_count,
+      final_url: page.finalUrl,
+      canonical_url: extractCanonicalUrl(page.html, page.finalUrl),
+      http_status: page.status,
+      debug_artifacts: [],
+      pages,
+    },
+  };
+}
+
+/**
+ * Extracts an article from the archive instead of the live site. Further pages are read from
+ * the archive too; pagination stops at the first one that was never archived.
+ * @param {object} snapshot - The archive entry of the first page (see snapshot-archive.js).
+ * @param {string} url - The URL of the row.
+ * @param {object} scrapingRules - The parsed scraping rules.
+ * @returns {Promise<object>} The scrape result (see `scrapeUrl`), with `fetcher` 'archive' and
+ *   the snapshot time as `fetch_date`.
+ */
+async function scrapeFromSnapshot(snapshot, url, scrapingRules) {
+  const html = await snapshotArchive.read(snapshot);
+  const finalUrl = snapshot.final_url || url;
+  const loadPage = async (nextUrl) => {
+    const next = snapshotArchive.latest(nextUrl);
+    if (!next) throw new Error('not in the archive');
+    return { html: await snapshotArchive.read(next), url: next.final_url || nextUrl };
+  };
+  const { title, content, markdown, method, page_count } = await extractPaginatedArticle(
+    { html, url: finalUrl }, scrapingRules, loadPage);
+  const wall = detectAccessWall(html, content, finalUrl, scrapingRules);
+  return {
+    title,
+    content,
+    content_markdown: markdown,
+    comments: extractComments(html, finalUrl, scrapingRules),
+    content_date: extractPublishDate(html, finalUrl, scrapingRules),
+    status: wall ? wall.status : 'success',
+    fetcher: 'archive',
+    extraction_method: method,
+    page_count,
+    final_url: finalUrl,
+    canonical_url: extractCanonicalUrl(html, finalUrl),
+    http_status: snapshot.http_status,
+    fetch_date: snapshot.timestamp,
+    debug_artifacts: [],
+  };
+}
+
+/**
+ * Stores the pages of a successful scrape in the snapshot archive. A failed write only costs
+ * the offline copy, so it is reported and the row is kept.
+ * @param {object[]} pages - { url, final_url, html, http_status } of every loaded page.
+ * @param {string} fetcher - 'http' or 'browser'.
+ */
+async function archivePages(pages, fetcher) {
+  for (const page of pages || []) {
+    try {
+      await snapshotArchive.save({ ...page, fetcher });
+    } catch (e) {
+      console.log(`  ⚠️  Could not archive ${page.url}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Replaces a failed, paywalled or challenged live result with the most recent archived copy
+ * of the page, when there is one and it extracts cleanly.
+ * @param {string} url - The URL of the row.
+ * @param {object} liveResult - The result of `scrapeWithRetry`.
+ * @param {object} scrapingRules - The parsed scraping rules.
+ * @returns {Promise<object>} The archived result, or `liveResult` when there is none.
+ */
+async function fallBackToSnapshot(url, liveResult, scrapingRules) {
+  const snapshot = snapshotArchive.latest(url);
+  if (!snapshot) return liveResult;
+  let archived;
+  try {
+    archived = await scrapeFromSnapshot(snapshot, url, scrapingRules);
+  } catch (e) {
+    console.log(`  ⚠️  Could not read the archived copy of ${url}: ${e.message}`);
+    return liveResult;
+  }
+  if (archived.status !== 'success' || archived.content.length < MIN_CONTENT_LENGTH) return liveResult;
+
+  console.log(`  🗄️  Live fetch of ${url} ended in ${liveResult.status}; using the archived copy from ${snapshot.timestamp}.`);
+  await logEvent({ event: "snapshot_fallback", url, live_status: liveResult.status, snapshot: snapshot.timestamp });
+  return { ...archived, attempts: liveResult.attempts, fetch_ms: liveResult.fetch_ms, debug_artifacts: liveResult.debug_artifacts };
+}
+
+/**
+ * Scrapes a single URL for its content. Pages are first fetched over plain HTTP; the browser
+ * is only used for sites marked `requires_browser` in scraping_rules.json, sites with login
+ * cookies, and pages whose HTTP result is thin, blocked or a JS challenge.
+ * @param {() => Promise<object>} getBrowser - Returns the shared Puppeteer browser, launching it on first use.
+ * @param {string} url - The URL to scrape.
+ * @param {object} config - The configuration object.
+ * @param {object} scrapingRules - The parsed scraping rules.
+ * @returns {Promise<{title: string, content: string, content_markdown?: string, content_date?: string, status: string,
+ *   fetcher: string, extraction_method?: string, page_count?: number, author?: string, duration_seconds?: number,
+ *   comments?: object[], final_url?: string, canonical_url?: string,
+ *   http_status?: number|string, debug_artifacts?: string[], pages?: object[]}>} `pages` holds the HTML of every
+ *   loaded page ({ url, final_url, html, http_status }) for the snapshot archive.
+ */
+async function scrapeUrl(getBrowser, url, config, scrapingRules) {
+  const sourceName = recognizeSource(url);
+
+  if (sourceName === "youtube.com") {
+    try {
+      console.log(`  🎥 Fetching YouTube transcript for: ${url}`);
+      const { language, chapter_count, ...video } = await scrapeYoutubeVideo(url, findSiteRule(scrapingRules, url).transcript);
+      console.log(`  📄 Extracted ${video.content.length} characters from the ${language || 'default'} YouTube transcript${chapter_count ? ` (${chapter_count} chapters)` : ''}.`);
+      return { ...video, status: 'success', fetcher: 'youtube_transcript', extraction_method: 'transcript' };
+    } catch (e) {
+      console.error(`  ❌ Error fetching YouTube transcript for ${url}: ${e.message}`);
+      return { title: 'N/A (Transcript Error)', content: e.message, status: 'failure', fetcher: 'youtube_transcript' };
+    }
+  }
+
+  let reason = '';
+  if (findSiteRule(scrapingRules, url).requires_browser) {
+    reason = 'site requires a browser';
+  } else if (config.authentication?.[sourceName]?.cookies_path) {
+    reason = 'login cookies are configured';
+  } else {
+    const { result, escalate } = await scrapeWithHttp(url, scrapingRules);
+    if (result) return result;
+    reason = escalate;
+  }
+
+  console.log(`  🌐 Using the browser for ${url} (${reason})`);
+  return scrapeWithBrowser(await getBrowser(), url, config, scrapingRules);
+}
+
+/**
+ * Whether a processed row should be scraped again: it failed, or it "succeeded" with too little text.
+ * @param {object} row - A processed row.
+ * @returns {boolean}
+ */
+function needsRetry(row) {
+  if (RETRYABLE_STATUSES.has(row.scraping_status)) return true;
+  return row.scraping_status === 'success' && (row.content || '').length < MIN_CONTENT_LENGTH;
+}
+
+/**
+ * Scrapes a URL, retrying failed or thin results with exponential backoff.
+ * @param {() => Promise<object>} getBrowser - Returns the shared Puppeteer browser, launching it on first use.
+ * @param {string} url - The URL to scrape.
+ * @param {object} config - The configuration object.
+ * @param {object} scrapingRules - The parsed scraping rules.
+ * @param {object} retryPolicy - { max_attempts, attempts_per_run, backoff_base_ms }.
+ * @param {number} previousAttempts - Attempts already recorded for this URL.
+ * @returns {Promise<object>} The last scrape result, plus the new `attempts` total and the
+ *   duration of the last attempt (`fetch_ms`).
+ */
+async function scrapeWithRetry(getBrowser, url, config, scrapingRules, retryPolicy, previousAttempts) {
+  const allowed = Math.min(retryPolicy.attempts_per_run, retryPolicy.max_attempts - previousAttempts);
+  let result;
+  let attempt = 0;
+  while (attempt < Math.max(1, allowed)) {
+    if (attempt > 0) {
+      const delay = retryPolicy.backoff_base_ms * 2 ** (attempt - 1);
+      console.log(`  🔁 Retrying ${url} in ${Math.round(delay / 1000)}s (attempt ${previousAttempts + attempt + 1}/${retryPolicy.max_attempts})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    const startedAt = Date.now();
+    result = await scrapeUrl(getBrowser, url, config, scrapingRules);
+    result.fetch_ms = Date.now() - startedAt;
+    attempt++;
+    if (!needsRetry({ scraping_status: result.status, content: result.content })) break;
+  }
+  return { ...result, attempts: previousAttempts + attempt };
+}
+
 /**
  * Recognizes the source from a URL.
  * @param {string} url - The URL of the article.
@@ -207,55 +532,407 @@ function recognizeSource(url) {
   }
 }
 
-// --- Main Execution ---
-async function main() {
-  if (isTestMode) {
-    console.log("🧪 RUNNING IN TEST MODE 🧪");
+/**
+ * Appends rows to processed_content.csv in the canonical column order.
+ * @param {string} filePath - The processed content CSV path.
+ * @param {object[]} rows - The rows to append.
+ */
+async function appendProcessedRows(filePath, rows) {
+  const csvString = csvStringify(rows, { header: false, quoted: true, columns: PROCESSED_COLUMNS });
+  await fs.appendFile(filePath, csvString, "utf-8");
+}
+
+/**
+ * Rewrites the whole processed_content.csv. The file is written to a temporary path first and
+ * then renamed, so an interrupted run never leaves a half-written file behind.
+ * @param {string} filePath - The processed content CSV path.
+ * @param {object[]} records - All rows of the file.
+ */
+async function rewriteProcessedFile(filePath, records) {
+  const csvString = csvStringify(records, { header: true, quoted: true, columns: PROCESSED_COLUMNS });
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, '\ufeff' + csvString, "utf-8");
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Rewrites processed_content.csv with the current header if it was written by an older version.
+ * Missing columns are left blank; existing values are kept as-is.
+ * @param {string} filePath - The processed content CSV path.
+ * @param {string[]} existingColumns - The header found in the file.
+ * @param {object[]} records - The parsed records of the file.
+ */
+async function migrateProcessedHeader(filePath, existingColumns, records) {
+  if (existingColumns.join(',') === PROCESSED_COLUMNS.join(',')) return;
+  console.log(`🔧 Migrating ${path.basename(filePath)} to the current column layout...`);
+  await rewriteProcessedFile(filePath, records);
+}
+
+/**
+ * The row's rel=canonical/og:url, unless it points at the site's home page.
+ * @param {object} row - A processed row.
+ * @returns {string}
+ */
+function articleCanonicalUrl(row) {
+  return row.canonical_url && !isSiteRoot(row.canonical_url) ? row.canonical_url : '';
+}
+
+/**
+ * Adds a processed row to the dedupe indexes. Every row blocks its own URL; only successful
+ * rows also claim their final and rel=canonical URLs (home page canonicals excepted) and,
+ * unless they are duplicates themselves, their content fingerprint.
+ * @param {object} row - The processed row.
+ * @param {Map<string, object>} existingData - Processed rows keyed by the `canonicalKey` of their URLs.
+ * @param {object} contentIndex - The near-duplicate index from `makeNearDuplicateIndex`.
+ */
+function indexProcessedRow(row, existingData, contentIndex) {
+  const urls = row.scraping_status === 'success' ? [row.url, row.final_url, articleCanonicalUrl(row)] : [row.url];
+  for (const key of urls.map(canonicalKey)) {
+    if (key && !existingData.has(key)) existingData.set(key, row);
   }
-  const processedFilePath = isTestMode ? PROCESSED_FILE_PATH_TEST : PROCESSED_FILE_PATH;
+  if (row.scraping_status === 'success' && !row.duplicate_of) {
+    // Rows written before the simhash column existed are fingerprinted on load
+    if (!row.simhash && (row.content || '').length >= MIN_CONTENT_LENGTH) row.simhash = simhash(row.content);
+    contentIndex.add(row.processed_id, row.simhash);
+  }
+}
 
-  console.log("🚀 Starting raw content processing...");
-  await fs.mkdir(PROCESSED_DIR, { recursive: true });
-  await logEvent({ event: "pipeline_start", script: "1_process_raw.js" });
+/**
+ * Fills `simhash` and `duplicate_of` of a newly processed row. A row is a duplicate when it
+ * redirected to a page already stored, when it declared rel=canonical to a stored page whose
+ * content is also a near-duplicate of its own (CMSs that point every canonical at a section
+ * page are not trusted alone; home page canonicals are ignored), or when its content is a
+ * near-duplicate (SimHash) of an earlier row, e.g. a syndicated copy. `duplicate_of` always
+ * points to the original row, never to another duplicate.
+ * @param {object} row - The processed row, with its `processed_id` assigned.
+ * @param {Map<string, object>} existingData - Processed rows keyed by the `canonicalKey` of their URLs.
+ * @param {object} contentIndex - The near-duplicate index from `makeNearDuplicateIndex`.
+ */
+function markDuplicate(row, existingData, contentIndex) {
+  row.simhash = '';
+  row.duplicate_of = '';
+  if (row.scraping_status !== 'success' || (row.content || '').length < MIN_CONTENT_LENGTH) return;
+  row.simhash = simhash(row.content);
 
-  const config = JSON.parse(await fs.readFile(CONFIG_PATH, "utf-8"));
-  const blocklist = new Set(config.scraping_blocklist || []);
+  const storedAt = (url) => {
+    const original = url && existingData.get(canonicalKey(url));
+    return original && String(original.processed_id) !== String(row.processed_id) && original.scraping_status === 'success'
+      ? original
+      : null;
+  };
+  const sameCanonical = storedAt(articleCanonicalUrl(row));
+  const sameUrl = storedAt(row.final_url)
+    || (sameCanonical && contentIndex.isNear(row.simhash, sameCanonical.simhash) ? sameCanonical : null);
+  const original = sameUrl
+    ? sameUrl.duplicate_of || sameUrl.processed_id
+    : contentIndex.find(row.simhash, row.processed_id);
+  if (original) {
+    row.duplicate_of = original;
+    console.log(`  👯 Row ${row.processed_id} duplicates row ${original} (${sameUrl ? 'same canonical URL' : 'near-identical content'}).`);
+  }
+}
 
-  // --- Load existing processed data ---
-  const existingData = new Map();
-  let maxProcessedId = 0;
+/**
+ * Polls the feeds listed in sources.csv and expands their entries into work items.
+ * Entries whose URL is already in processed_content.csv are skipped.
+ * @param {object[]} sources - The parsed rows of sources.csv.
+ * @param {Map<string, object>} existingData - Processed rows keyed by the `canonicalKey` of their URLs.
+ * @returns {Promise<object[]>} Work items for the new feed entries.
+ */
+async function loadFeedItems(sources, existingData) {
+  const items = [];
+  for (const source of sources) {
+    if (!FEED_SOURCE_TYPES.has((source.type || '').trim().toLowerCase()) || !source.url) continue;
+
+    try {
+      console.log(`📰 Polling feed: ${source.url}`);
+      const feed = await fetchFeed(source.url);
+      const feedTitle = source.title || feed.title || recognizeSource(source.url);
+      const newEntries = feed.entries.filter(entry => entry.link && !existingData.has(canonicalKey(entry.link)));
+      console.log(`   Found ${feed.entries.length} entries, ${newEntries.length} new.`);
+
+      for (const entry of newEntries) {
+        items.push({
+          raw_id: source.id || '',
+          url: normalizeUrl(entry.link),
+          source_type: 'feed',
+          source_name: feedTitle,
+          title: entry.title,
+          author: entry.author,
+          content_date: entry.published,
+        });
+      }
+    } catch (e) {
+      console.error(`  ❌ Failed to poll feed ${source.url}: ${e.message}`);
+      await logEvent({ event: "feed_error", url: source.url, message: e.message });
+    }
+  }
+  return items;
+}
+
+/**
+ * Resolves the politeness limits for a URL: `politeness` in the site rule overrides the default.
+ * @param {object} scrapingRules - The parsed scraping rules.
+ * @param {string} url - The URL to be scraped.
+ * @returns {{max_concurrent: number, min_delay_ms: number}}
+ */
+function politenessFor(scrapingRules, url) {
+  return {
+    ...DEFAULT_POLITENESS,
+    ...(scrapingRules.default.politeness || {}),
+    ...(findSiteRule(scrapingRules, url).politeness || {}),
+  };
+}
+
+/**
+ * The delay between two requests to a URL's host: the site's politeness delay or the host's
+ * robots.txt Crawl-delay, whichever is longer.
+ * @param {object} scrapingRules - The parsed scraping rules.
+ * @param {string} url - The URL to be scraped.
+ * @returns {number} Milliseconds.
+ */
+function pageDelayFor(scrapingRules, url) {
+  let hostname = '';
   try {
-    await fs.access(processedFilePath);
-    const processedCsv = await fs.readFile(processedFilePath, "utf-8");
-    const records = csvParse(processedCsv, { columns: true, skip_empty_lines: true });
-    for (const record of records) {
-      if (record.url) {
-        existingData.set(record.url, record.scraping_status);
-        const id = parseInt(record.processed_id, 10);
-        if (id > maxProcessedId) maxProcessedId = id;
+    hostname = new URL(url).hostname;
+  } catch (e) {
+    // Unparseable URLs fail later with a clearer error
+  }
+  return Math.max(politenessFor(scrapingRules, url).min_delay_ms, crawlDelays.get(hostname) || 0);
+}
+
+/**
+ * Scrapes one raw record and builds its processed row (without `processed_id`, which is
+ * assigned when rows are written in input order). Never throws: script errors become a
+ * `critical_failure` row so the record is not retried forever.
+ * @param {() => Promise<object>} getBrowser - Returns the shared Puppeteer browser, launching it on first use.
+ * @param {object} record - The work item ({ raw_id, url, source_type, ... }).
+ * @param {object} config - The profiles.json configuration.
+ * @param {object} scrapingRules - The parsed scraping rules.
+ * @param {Set<string>} blocklist - Blocked source names.
+ * @param {object} retryPolicy - The retry policy.
+ * @param {object} [robots] - The robots.txt verdict for the URL (see robots.js); absent for blocked domains.
+ * @returns {Promise<object>} The processed row. Retried rows keep their `processed_id`.
+ */
+async function processRecord(getBrowser, record, config, scrapingRules, blocklist, retryPolicy, robots) {
+  const url = record.url;
+  const sourceName = recognizeSource(url);
+  const previousAttempts = parseInt(record.attempts, 10) || 0;
+  const baseRow = {
+    ...(record.processed_id ? { processed_id: record.processed_id } : {}),
+    raw_id: record.raw_id,
+    source_type: record.source_type,
+    source_name: record.source_name || sourceName,
+    url: url,
+    author: record.author || '',
+    keywords: '',
+  };
+
+  try {
+    if (blocklist.has(sourceName)) {
+      console.log(`🚫 Skipping blocked domain: ${url}`);
+      return {
+        ...baseRow,
+        fetch_date: new Date().toISOString(),
+        content_date: record.content_date || '',
+        scraping_status: 'blocked_by_config',
+        attempts: previousAttempts,
+        title: 'N/A (Blocked)',
+        content: 'Content not fetched due to scraping blocklist.',
+      };
+    }
+
+    if (robots && !robots.allowed && !robots.unreachable) {
+      console.log(`  🤖 Skipping ${url}: disallowed by robots.txt (${robots.rule}).`);
+      return {
+        ...baseRow,
+        fetch_date: new Date().toISOString(),
+        content_date: record.content_date || '',
+        scraping_status: 'disallowed_by_robots',
+        attempts: previousAttempts,
+        title: 'N/A (Disallowed by robots.txt)',
+        content: `Content not fetched: robots.txt of ${new URL(url).hostname} disallows this URL (${robots.rule}).`,
+      };
+    }
+
+    // --- Scrape Content ---
+    let result;
+    if (isOfflineMode) {
+      result = { ...(await scrapeFromSnapshot(snapshotArchive.latest(url), url, scrapingRules)), attempts: previousAttempts };
+      console.log(`  🗄️  Re-extracted ${result.content.length} characters from the ${result.fetch_date} snapshot of ${url}`);
+    } else if (robots?.unreachable && !robots.allowed) {
+      // Not a verdict from the publisher: keep it retryable
+      console.log(`  🤖 robots.txt for ${url} could not be fetched (${robots.unreachable}).`);
+      result = await fallBackToSnapshot(url, {
+        title: 'N/A (robots.txt unreachable)',
+        content: `robots.txt could not be fetched (${robots.unreachable}), so the page was not requested.`,
+        status: 'failure',
+        attempts: previousAttempts + 1,
+      }, scrapingRules);
+    } else {
+      result = await scrapeWithRetry(getBrowser, url, config, scrapingRules, retryPolicy, previousAttempts);
+      if (result.status === 'success') {
+        await archivePages(result.pages, result.fetcher);
+      } else if (result.status !== 'disallowed_by_robots') {
+        result = await fallBackToSnapshot(url, result, scrapingRules);
       }
     }
-    console.log(`Found ${existingData.size} previously processed URLs.`);
+    const {
+      title, content, content_markdown, content_date, status, attempts, final_url, canonical_url, http_status,
+      fetcher, extraction_method, page_count, fetch_ms, fetch_date, debug_artifacts, author, duration_seconds, comments,
+    } = result;
+    return {
+      ...baseRow,
+      fetch_date: fetch_date || new Date().toISOString(),
+      content_date: record.content_date || content_date || '',
+      scraping_status: status,
+      attempts,
+      // Feed entries carry a clean headline; prefer it over the page's <title>
+      title: record.title || title,
+      author: record.author || author || '',
+      final_url: final_url || '',
+      canonical_url: canonical_url || '',
+      http_status: http_status || '',
+      fetcher: fetcher || '',
+      extraction_method: extraction_method || '',
+      page_count: page_count || '',
+      duration_seconds: duration_seconds || '',
+      fetch_ms: fetch_ms ?? '',
+      debug_artifacts: (debug_artifacts || []).join(';'),
+      comments: comments?.length ? JSON.stringify(comments) : '',
+      content: content,
+      content_markdown: content_markdown || '',
+    };
   } catch (e) {
-    // File doesn't exist, so we'll create it with headers later
-    console.log("No existing processed content file found. A new one will be created.");
+    console.error(`  ❌ CRITICAL FAILURE processing record, skipping: ${JSON.stringify(record)} \n  ${e.message}`);
+    // Construct a failure row to ensure we don't try this record again
+    return {
+      ...baseRow,
+      fetch_date: new Date().toISOString(),
+      content_date: record.content_date || '',
+      scraping_status: 'critical_failure',
+      attempts: previousAttempts + 1,
+      title: 'N/A (Script Error)',
+      content: e.stack,
+    };
   }
+}
 
+/**
+ * Loads the raw inputs of stage 1: URLs from urls.csv and new entries of the feeds in sources.csv.
+ * @param {Map<string, object>} existingData - Processed rows keyed by the `canonicalKey` of their URLs.
+ * @param {object} [options]
+ * @param {boolean} [options.includeFeeds=true] - false skips the feeds, which have to be fetched.
+ * @returns {Promise<object[]>} The work items, in input order.
+ */
+async function loadRawRecords(existingData, { includeFeeds = true } = {}) {
   // --- Load raw URLs to be processed ---
   const rawUrlsPath = path.join(RAW_DIR, "urls.csv");
   let records = [];
   try {
       const rawUrlsCsv = await fs.readFile(rawUrlsPath, "utf-8");
-      records = csvParse(rawUrlsCsv, { columns: true, skip_empty_lines: true });
+      records = csvParse(rawUrlsCsv, { columns: true, skip_empty_lines: true, bom: true })
+        .map(record => ({ raw_id: record.id || '', url: normalizeUrl(record.url), source_type: 'url' }));
+  } catch (e) {
+      if (e.code !== 'ENOENT') throw e; // Re-throw other errors
+      console.log("No raw urls.csv file found.");
+  }
+
+  // --- Expand RSS/Atom feeds listed in sources.csv ---
+  if (!includeFeeds) return records;
+  const rawSourcesPath = path.join(RAW_DIR, "sources.csv");
+  try {
+      const rawSourcesCsv = await fs.readFile(rawSourcesPath, "utf-8");
+      const sources = csvParse(rawSourcesCsv, { columns: true, skip_empty_lines: true, bom: true, relax_column_count: true });
+      records = records.concat(await loadFeedItems(sources, existingData));
+  } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+  }
+  return records;
+}
+
+/**
+ * Extracts the files dropped into data/1_raw/files/ and builds their processed rows (without
+ * `processed_id`). Files are deduped by the SHA-256 of their bytes, so renaming or re-dropping a
+ * file does not ingest it twice. Unsupported extensions are ignored.
+ * With `retryRows` (--retry-failed), only the files of those rows are extracted again; their
+ * new rows keep the `processed_id` and count one more attempt.
+ * @param {Set<string>} knownHashes - `content_hash` values already in processed_content.csv; updated in place.
+ * @param {object} scrapingRules - The parsed scraping rules.
+ * @param {Map<string, object>|null} [retryRows=null] - Failed file rows keyed by `content_hash`.
+ * @returns {Promise<object[]>} The new rows, in file name order.
+ */
+async function ingestDroppedFiles(knownHashes, scrapingRules, retryRows = null) {
+  let fileNames;
+  try {
+    fileNames = (await fs.readdir(RAW_FILES_DIR)).sort();
   } catch (e) {
-      if (e.code === 'ENOENT') {
-          console.log("No raw urls.csv file found. Nothing to process.");
-          return; // Exit gracefully if no urls.csv
+    if (e.code !== 'ENOENT') throw e;
+    return [];
+  }
+
+  const rows = [];
+  for (const fileName of fileNames) {
+    if (!SUPPORTED_FILE_EXTENSIONS.has(path.extname(fileName).toLowerCase())) continue;
+
+    const buffer = await fs.readFile(path.join(RAW_FILES_DIR, fileName));
+    const contentHash = hashContent(buffer);
+    const previous = retryRows?.get(contentHash);
+    if (retryRows ? !previous : knownHashes.has(contentHash)) continue;
+    retryRows?.delete(contentHash); // The same bytes under a second name
+    knownHashes.add(contentHash);
+
+    const baseRow = {
+      ...(previous ? { processed_id: previous.processed_id } : {}),
+      raw_id: '',
+      source_type: 'file',
+      source_name: fileName,
+      url: '',
+      fetch_date: new Date().toISOString(),
+      attempts: previous ? (parseInt(previous.attempts, 10) || 1) + 1 : 1,
+      keywords: '',
+      fetcher: 'file',
+      content_hash: contentHash,
+    };
+    const startedAt = Date.now();
+    try {
+      console.log(`📁 Extracting text from file: ${fileName}`);
+      const { title, author, content_date, canonical_url, content, markdown, comments, access_wall, method } = await extractFileContent(buffer, fileName, scrapingRules);
+      if (access_wall) {
+        console.log(`  🧱 ${fileName} is not the full article: ${access_wall.status} (${access_wall.reason})`);
+      } else if (content.length < MIN_CONTENT_LENGTH) {
+        console.log(`  ⚠️  Warning: Limited content extracted from ${fileName}`);
+      } else {
+        console.log(`  📄 Extracted ${content.length} characters from ${fileName}`);
       }
-      throw e; // Re-throw other errors
+      rows.push({
+        ...baseRow,
+        content_date,
+        scraping_status: access_wall ? access_wall.status : 'success',
+        title,
+        author,
+        canonical_url: canonical_url || '',
+        extraction_method: method,
+        fetch_ms: Date.now() - startedAt,
+        comments: comments?.length ? JSON.stringify(comments) : '',
+        content,
+        content_markdown: markdown,
+      });
+    } catch (e) {
+      console.error(`  ❌ Error extracting ${fileName}: ${e.message}`);
+      rows.push({ ...baseRow, content_date: '', scraping_status: 'failure', title: 'N/A (File Error)', author: '', content: e.message });
+    }
   }
+  return rows;
+}
 
-  // --- Puppeteer Setup ---
+/**
+ * Launches the Puppeteer browser. When CHROME_USER_DATA is set, a copy of that Chrome profile
+ * is used so logged-in sessions carry over.
+ * @returns {Promise<{browser: object, useTempProfile: boolean}>} The browser and whether the
+ *   temporary profile copy must be removed afterwards.
+ */
+async function launchBrowser() {
   let browser;
   let useTempProfile = false;
 
@@ -282,103 +959,228 @@ async function main() {
     browser = await puppeteerExtra.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] });
   }
 
+  return { browser, useTempProfile };
+}
+
+// --- Main Execution ---
+async function main() {
+  if (isTestMode) {
+    console.log("🧪 RUNNING IN TEST MODE 🧪");
+  }
+  const processedFilePath = isTestMode ? PROCESSED_FILE_PATH_TEST : PROCESSED_FILE_PATH;
+
+  console.log("🚀 Starting raw content processing...");
+  await fs.mkdir(PROCESSED_DIR, { recursive: true });
+  await logEvent({ event: "pipeline_start", script: "1_process_raw.js" });
+
+  const config = JSON.parse(await fs.readFile(CONFIG_PATH, "utf-8"));
+  const blocklist = new Set(config.scraping_blocklist || []);
+  // Stale sessions otherwise only show up as a batch of thin, logged-out pages
+  await reportCookieHealth(config.authentication);
+  robotsPolicy = makeRobotsPolicy(config.robots);
+  snapshotArchive = await openSnapshotArchive();
+  if (isOfflineMode) console.log(`🗄️  Offline mode: extracting from ${snapshotArchive.size} archived pages; nothing is fetched.`);
+
+  const scrapingRules = JSON.parse(await fs.readFile(SCRAPING_RULES_PATH, 'utf-8'));
+  const retryPolicy = { ...DEFAULT_RETRY_POLICY, ...(scrapingRules.default.retry || {}) };
+  const contentIndex = makeNearDuplicateIndex(scrapingRules.default.near_duplicates?.max_distance);
+
+  // --- Load existing processed data ---
+  const existingData = new Map();
+  const knownHashes = new Set();
+  const corpusDocuments = new Map();
+  let processedRecords = [];
+  let maxProcessedId = 0;
+  try {
+    await fs.access(processedFilePath);
+    const processedCsv = await fs.readFile(processedFilePath, "utf-8");
+    let existingColumns = [];
+    const records = csvParse(processedCsv, {
+      columns: header => (existingColumns = header),
+      skip_empty_lines: true,
+      bom: true,
+    });
+    await migrateProcessedHeader(processedFilePath, existingColumns, records);
+    processedRecords = records;
+    for (const record of records) {
+      indexProcessedRow(record, existingData, contentIndex);
+      if (record.content_hash) knownHashes.add(record.content_hash);
+      if (record.scraping_status === 'success') corpusDocuments.set(String(record.processed_id), `${record.title} ${record.content}`);
+      const id = parseInt(record.processed_id, 10);
+      if (id > maxProcessedId) maxProcessedId = id;
+    }
+    const urlCount = records.filter(record => record.url).length;
+    console.log(`Found ${urlCount} previously processed URLs and ${knownHashes.size} files.`);
+  } catch (e) {
+    // File doesn't exist, so we'll create it with headers later
+    console.log("No existing processed content file found. A new one will be created.");
+  }
+
+  let records = [];
+  if (isRetryFailedMode || isOfflineMode) {
+    // --- Re-scrape failed or thin rows in place instead of reading new inputs ---
+    // Offline, every archived row is re-extracted in place (only the failed or thin ones with --retry-failed)
+    records = processedRecords
+      .filter(row => row.url && (!isRetryFailedMode || needsRetry(row)))
+      .filter(row => isOfflineMode
+        ? Boolean(snapshotArchive.latest(row.url))
+        : (parseInt(row.attempts, 10) || 1) < retryPolicy.max_attempts)
+      .map(row => ({
+        processed_id: row.processed_id,
+        raw_id: row.raw_id,
+        url: row.url,
+        source_type: row.source_type,
+        source_name: row.source_name,
+        author: row.author,
+        content_date: row.content_date,
+        // Rows written before the attempts column existed had exactly one attempt
+        attempts: row.attempts || 1,
+      }));
+    if (isOfflineMode) {
+      console.log(`🗄️  ${records.length} processed rows have an archived copy and will be re-extracted.`);
+      if (!isRetryFailedMode) {
+        // New URLs that were archived before (e.g. after processed_content.csv was deleted); feeds need the network
+        const archivedInputs = (await loadRawRecords(existingData, { includeFeeds: false }))
+          .filter(record => snapshotArchive.latest(record.url));
+        records = records.concat(archivedInputs);
+      }
+    } else {
+      console.log(`🔁 Retry mode: ${records.length} failed or thin rows are eligible for another attempt.`);
+    }
+    // The rows are about to be replaced, so they must not count as "already processed"
+    for (const record of records) {
+      if (record.processed_id) existingData.delete(canonicalKey(record.url));
+    }
+  } else {
+    records = await loadRawRecords(existingData);
+  }
+
+  const keywordExtractor = makeKeywordExtractor(corpusDocuments);
+
+  // --- Ingest local files (no browser needed) ---
+  // Retried, a file is extracted again whatever its status: the rules may have changed since
+  const fileRetries = isRetryFailedMode
+    ? new Map(processedRecords
+      .filter(row => row.source_type === 'file' && row.content_hash
+        && (row.scraping_status !== 'success' || needsRetry(row))
+        && (parseInt(row.attempts, 10) || 1) < retryPolicy.max_attempts)
+      .map(row => [row.content_hash, row]))
+    : null;
+  if (fileRetries) console.log(`🔁 Retry mode: ${fileRetries.size} failed or thin file rows are eligible for another attempt.`);
+  const fileRows = await ingestDroppedFiles(knownHashes, scrapingRules, fileRetries);
+  if (fileRows.length > 0) {
+    if (processedRecords.length === 0) {
+      await fs.writeFile(processedFilePath, '\ufeff' + PROCESSED_COLUMNS.join(',') + '\n', 'utf-8');
+    }
+    const newFileRows = fileRows.filter(row => !row.processed_id);
+    for (const row of fileRows) {
+      if (!row.processed_id) row.processed_id = ++maxProcessedId;
+      if (row.scraping_status === 'success') {
+        row.keywords = keywordExtractor.extract(`${row.title} ${row.content}`, row.processed_id).join(', ');
+        row.language = detectLanguage(row.content);
+      }
+      markDuplicate(row, existingData, contentIndex);
+      indexProcessedRow(row, existingData, contentIndex);
+    }
+    if (newFileRows.length < fileRows.length) {
+      // --- Retried files: replace their rows in place so the processed_id stays stable ---
+      for (const row of fileRows.filter(row => !newFileRows.includes(row))) {
+        processedRecords[processedRecords.findIndex(existing => existing.processed_id === row.processed_id)] = row;
+      }
+      await rewriteProcessedFile(processedFilePath, processedRecords);
+    }
+    if (newFileRows.length > 0) {
+      await appendProcessedRows(processedFilePath, newFileRows);
+      processedRecords.push(...newFileRows);
+    }
+    console.log(`✅ Ingested ${newFileRows.length} new and ${fileRows.length - newFileRows.length} retried files.`);
+  }
+
+  if (records.length === 0) {
+      console.log(fileRows.length > 0 ? "No URLs to scrape." : "No raw inputs found. Nothing to process.");
+      return;
+  }
+
+  // --- Puppeteer Setup: launched on the first page that needs it, so HTTP-only runs never start Chrome ---
+  let browserSession = null;
+  const getBrowser = async () => (await (browserSession ||= launchBrowser())).browser;
+
   try {
     // --- Ensure CSV header exists if the file is new ---
-    if (existingData.size === 0) {
-      const headers = [
-        'processed_id', 'raw_id', 'source_type', 'source_name', 'url', 
-        'fetch_date', 'content_date', 'scraping_status', 'title', 
-        'keywords', 'content'
-      ].join(',');
-      await fs.writeFile(processedFilePath, '\ufeff' + headers + '\n', 'utf-8');
+    if (processedRecords.length === 0) {
+      await fs.writeFile(processedFilePath, '\ufeff' + PROCESSED_COLUMNS.join(',') + '\n', 'utf-8');
     }
 
     let itemsProcessedThisRun = 0;
     
-    // --- Process URLs from urls.csv ---
-    const scrapingRules = JSON.parse(await fs.readFile(SCRAPING_RULES_PATH, 'utf-8'));
-
+    // --- Process URLs from urls.csv and feed entries ---
+    const queue = [];
+    const queuedUrls = new Set();
     for (const record of records) {
-      try {
-        const url = record.url;
-        if (!url) continue;
+      // --- Skip if already processed (or listed twice), comparing canonical keys ---
+      const key = canonicalKey(record.url);
+      if (!key || existingData.has(key) || queuedUrls.has(key)) continue;
+      queuedUrls.add(key);
+      queue.push(record);
+    }
+    // --- robots.txt: one fetch per host, before anything is requested from it ---
+    const robotsVerdicts = new Map();
+    const robotsQueue = isOfflineMode ? [] : queue.filter(record => /^https?:\/\//i.test(record.url) && !blocklist.has(recognizeSource(record.url)));
+    await Promise.all(robotsQueue.map(async (record) => {
+      const verdict = await robotsPolicy.check(record.url);
+      robotsVerdicts.set(record.url, verdict);
+      const hostname = new URL(record.url).hostname;
+      if (verdict.crawl_delay_ms > 0 && !crawlDelays.has(hostname)) {
+        crawlDelays.set(hostname, verdict.crawl_delay_ms);
+        if (verdict.crawl_delay_ms > politenessFor(scrapingRules, record.url).min_delay_ms) {
+          console.log(`🐢 ${hostname} asks for a Crawl-delay of ${verdict.crawl_delay_ms / 1000}s in robots.txt.`);
+        }
+      }
+    }));
 
-        // --- Skip if already processed ---
-        if (existingData.has(url)) {
-          continue;
+    console.log(`🧵 Scraping ${queue.length} items with up to ${SCRAPING_CONFIG.pages} pages in parallel.`);
+
+    await runPoliteQueue(queue, {
+      concurrency: SCRAPING_CONFIG.pages,
+      domainOf: record => recognizeSource(record.url),
+      limitsFor: record => isOfflineMode || blocklist.has(recognizeSource(record.url))
+        ? UNLIMITED_POLITENESS // Nothing is fetched offline or for blocked domains
+        : { ...politenessFor(scrapingRules, record.url), min_delay_ms: pageDelayFor(scrapingRules, record.url) },
+      worker: record => processRecord(getBrowser, record, config, scrapingRules, blocklist, retryPolicy, robotsVerdicts.get(record.url)),
+      onResult: async (newRow) => {
+        const isRetriedRow = Boolean(newRow.processed_id);
+        // IDs are assigned here, in input order, so reruns produce the same file
+        if (!isRetriedRow) newRow.processed_id = ++maxProcessedId;
+        if (newRow.scraping_status === 'success') {
+          // A retried row replaces its earlier terms in the document frequencies
+          newRow.keywords = keywordExtractor.extract(`${newRow.title} ${newRow.content}`, newRow.processed_id).join(', ');
+          newRow.language = detectLanguage(newRow.content);
         }
-        
-        let newRow;
-        const sourceName = recognizeSource(url);
-        
-        if (blocklist.has(sourceName)) {
-          console.log(`🚫 Skipping blocked domain: ${url}`);
-          newRow = {
-            processed_id: ++maxProcessedId,
-            raw_id: record.id || '',
-            source_type: 'url',
-            source_name: sourceName,
-            url: url,
-            fetch_date: new Date().toISOString(),
-            content_date: '',
-            scraping_status: 'blocked_by_config',
-            title: 'N/A (Blocked)',
-            keywords: '',
-            content: 'Content not fetched due to scraping blocklist.',
-          };
+        markDuplicate(newRow, existingData, contentIndex);
+
+        if (isRetriedRow) {
+          // --- Retried row: replace it in place so the processed_id stays stable ---
+          const index = processedRecords.findIndex(row => row.processed_id === newRow.processed_id);
+          processedRecords[index] = newRow;
+          await rewriteProcessedFile(processedFilePath, processedRecords);
         } else {
-          // --- Scrape Content ---
-          const { title, content, status } = await scrapeUrl(browser, url, config, scrapingRules);
-          newRow = {
-            processed_id: ++maxProcessedId,
-            raw_id: record.id || '',
-            source_type: 'url',
-            source_name: sourceName,
-            url: url,
-            fetch_date: new Date().toISOString(),
-            content_date: '', // TODO: Extract from article
-            scraping_status: status,
-            title: title,
-            keywords: '', // TODO: Extract keywords
-            content: content,
-          };
+          // --- Append the new row to the CSV immediately ---
+          await appendProcessedRows(processedFilePath, [newRow]);
+          processedRecords.push(newRow);
         }
-        
-        // --- Append the new row to the CSV immediately ---
-        const csvString = csvStringify([newRow], { header: false, quoted: true });
-        await fs.appendFile(processedFilePath, csvString, "utf-8");
-        existingData.set(url, newRow.scraping_status); // Update in-memory map
-        itemsProcessedThisRun++;
-
-      } catch (e) {
-        console.error(`  ❌ CRITICAL FAILURE processing record, skipping: ${JSON.stringify(record)} \n  ${e.message}`);
-        // Construct a failure row to ensure we don't try this record again
-        const url = record.url || 'unknown_url';
-        const newRow = {
-          processed_id: ++maxProcessedId,
-          raw_id: record.id || '',
-          source_type: 'url',
-          source_name: recognizeSource(url),
-          url: url,
-          fetch_date: new Date().toISOString(),
-          content_date: '',
-          scraping_status: 'critical_failure',
-          title: 'N/A (Script Error)',
-          keywords: '',
-          content: e.stack,
-        };
-        const csvString = csvStringify([newRow], { header: false, quoted: true });
-        await fs.appendFile(processedFilePath, csvString, "utf-8");
-        existingData.set(url, 'critical_failure');
+        indexProcessedRow(newRow, existingData, contentIndex); // Update in-memory indexes
         itemsProcessedThisRun++;
-      }
-    }
+      },
+    });
     
     console.log(`✅ Processed ${itemsProcessedThisRun} new items this run.`);
 
   } finally {
-    await browser.close();
-    console.log("   Browser closed.");
+    const { browser, useTempProfile } = browserSession ? await browserSession.catch(() => ({})) : {};
+    if (browser) {
+      await browser.close();
+      console.log("   Browser closed.");
+    }
 
     // Clean up the temporary profile if it was used
     if (useTempProfile) {
@@ -4,10 +4,14 @@ import path from 'path';
 import { parse as csvParse } from 'csv-parse/sync';
 import { stringify as csvStringify } from 'csv-stringify/sync';
 import Papa from 'papaparse';
-import OpenAI from 'openai';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { logApiUsage, setupGlobalErrorHandling } from '../logger.js';
+import { createLlmClient, resolveModel, estimateTokens, contextWindowFor } from '../llm-providers.js';
+import { splitIntoChunks, packIntoChunks } from '../chunking.js';
+import { labelSources, validateCitations, citedSources } from '../citations.js';
 import { composeForSns } from '../sns-composer.js';
+import { formatCommentsForPrompt } from '../comments.js';
+import { ACCESS_WALL_STATUSES } from '../access-wall.js';
+import { detectLanguage, LANGUAGE_NAMES } from '../language.js';
 import pkg from 'deepl-node';
 const { Translator } = pkg;
 
@@ -15,24 +19,36 @@ setupGlobalErrorHandling();
 
 // --- Configuration ---
 const isTestMode = process.argv.includes('--test');
+// Synthesize even from rows that hit a paywall, login wall or challenge in stage 1
+const isForced = process.argv.includes('--force');
+// Have the model cite its sources inline as [S1], [S2], ... (a plan can also ask with a `cite` column)
+const isCiteMode = process.argv.includes('--cite');
 const DATA_DIR = path.join(process.cwd(), 'data');
 const PROCESSED_FILE_PATH = path.join(DATA_DIR, '2_processed', isTestMode ? 'processed_content_test.csv' : 'processed_content.csv');
 const PLAN_FILE_PATH = path.join(DATA_DIR, '3_plans', isTestMode ? 'manual_plan_test.csv' : 'manual_plan.csv');
 const RUNS_FILE_PATH = path.join(DATA_DIR, '4_runs', isTestMode ? 'all_runs_test.csv' : 'all_runs.csv');
 const CONFIG_PATH = path.join(process.cwd(), 'config', 'profiles.json');
+const RUN_COLUMNS = ['run_id', 'plan_hash', 'processed_ids', 'subject', 'profile', 'synthesis_en', 'synthesis_kor', 'linkedin_en', 'linkedin_kor', 'x_en', 'x_kor', 'facebook_en', 'facebook_kor', 'threads_en', 'threads_kor', 'synthesis_strategy', 'citations'];
+// Output languages and the suffix of their columns in all_runs.csv
+const COLUMN_SUFFIXES = { en: 'en', ko: 'kor' };
+// DeepL needs a regional variant for English targets
+const DEEPL_TARGET_LANGUAGES = { en: 'en-US' };
+const SOURCE_SEPARATOR = '\n\n---\n\n';
+// Kept free in the context window for the model's answer (at most a quarter of the window)
+const ANSWER_RESERVE_TOKENS = 4096;
+// Rounds of merging summaries before the final synthesis is attempted anyway
+const MAX_REDUCE_ROUNDS = 3;
+const SUMMARIZER_SYSTEM_PROMPT = "You condense source material for a writer who will combine several sources into one piece. Keep every fact, figure, name, date and notable quote; drop repetition, navigation text and filler.";
+const CITATION_INSTRUCTIONS = "Each source starts with its marker, e.g. [S1]. Cite the sources inline with these markers right after every claim they support, e.g. \"Exports fell 3% [S2].\" Use only the markers given and do not add a list of sources at the end.";
+const TEST_MODE_SUFFIX = "\n\n**IMPORTANT: For this test run, please keep your response extremely short (under 20 words).**";
 
 let config, defaults, generators, models;
 let DEFAULT_PROVIDER, DEFAULT_GENERATOR_MODEL, TRANSLATOR_MODEL_KEY;
 
 // --- AI Client Initialization ---
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const DEEPL_API_KEY = process.env.DEEPL_API_KEY;
 
-let openai, genai, translator;
-if (OPENAI_API_KEY) openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-if (GEMINI_API_KEY) genai = new GoogleGenerativeAI(GEMINI_API_KEY);
-if (DEEPL_API_KEY) translator = new Translator(DEEPL_API_KEY);
+let llm, translator;
 
 async function loadConfig() {
     config = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf-8'));
@@ -42,11 +58,43 @@ async function loadConfig() {
     DEFAULT_PROVIDER = defaults.provider;
     DEFAULT_GENERATOR_MODEL = defaults.generator_model;
     TRANSLATOR_MODEL_KEY = defaults.translator_model;
+    llm = createLlmClient(models);
+    // Mock runs (--mock) translate with the mocked translator model, so nothing reaches DeepL
+    if (DEEPL_API_KEY && !llm.mock) translator = new Translator(DEEPL_API_KEY);
 }
 
-async function synthesizeContent(task, content) {
-  const provider = task.provider || DEFAULT_PROVIDER;
-  let modelKey = task.model || DEFAULT_GENERATOR_MODEL;
+/**
+ * Picks the language most of a plan's source text is written in, weighted by length.
+ * Rows processed before the `language` column existed are detected on the fly.
+ * @param {object[]} rows - The processed rows of the plan.
+ * @returns {string} An ISO 639-1 code, or '' when none could be detected.
+ */
+function planLanguage(rows) {
+    const lengths = new Map();
+    for (const row of rows) {
+        const language = row.language || detectLanguage(row.content);
+        if (language) lengths.set(language, (lengths.get(language) || 0) + (row.content || '').length);
+    }
+    return [...lengths].sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+}
+
+const wantsCitations = (task) => isCiteMode || /^(1|true|yes)$/i.test((task.cite || '').trim());
+
+/**
+ * The generator model of a plan row and the provider that serves it. Every request of a
+ * synthesis (map, merge and final) goes through this, so they all reach the same provider.
+ * @param {object} task - The plan row.
+ * @returns {{modelKey: string, provider: string|null}}
+ */
+function generatorFor(task) {
+  const modelKey = task.model || DEFAULT_GENERATOR_MODEL;
+  // The model's entry in profiles.json decides; the plan's provider column covers unlisted models
+  const { provider } = resolveModel(models, modelKey, task.provider || DEFAULT_PROVIDER);
+  return { modelKey, provider };
+}
+
+async function synthesizeContent(task, content, language = 'en', cite = false) {
+  const { modelKey, provider } = generatorFor(task);
   
   const profileKey = task.profile || Object.keys(generators)[0];
   const profile = generators[profileKey];
@@ -55,74 +103,152 @@ async function synthesizeContent(task, content) {
   console.log(`  - Synthesizing with ${provider}/${modelKey} using profile '${profileKey}'`);
 
   const systemPrompt = profile.system_prompt;
-  let userPrompt = `Synthesize the following articles into a new piece of content with the subject: "${task.subject}".\n\n--- ARTICLES ---\n${content}`;
+  let userPrompt = `Synthesize the following articles into a new piece of content with the subject: "${task.subject}". Write it in ${LANGUAGE_NAMES[language]}.${cite ? ` ${CITATION_INSTRUCTIONS}` : ''}\n\n--- ARTICLES ---\n${content}`;
   if (isTestMode) {
-    userPrompt += "\n\n**IMPORTANT: For this test run, please keep your response extremely short (under 20 words).**";
+    userPrompt += TEST_MODE_SUFFIX;
   }
 
-  let synthesizedText = "";
-  let tokensUsed = 0;
-
   try {
-    if (provider === "openai") {
-      if (!openai) throw new Error("OPENAI_API_KEY is not set in .env");
-      const response = await openai.chat.completions.create({
-        model: modelKey,
-        messages: [{ role: "system", content: systemPrompt }, { role: "user", content: userPrompt }],
-      });
-      synthesizedText = response.choices[0].message.content;
-      tokensUsed = response.usage?.total_tokens || 0;
-    } else if (provider === "gemini") {
-      if (!genai) throw new Error("GEMINI_API_KEY is not set in .env");
-      const model = genai.getGenerativeModel({ model: modelKey });
-      const result = await model.generateContent([systemPrompt, userPrompt]);
-      synthesizedText = result.response.text();
-      tokensUsed = Math.round((systemPrompt.length + userPrompt.length + synthesizedText.length) / 4);
-    }
+    const { text } = await llm.chat({ model: modelKey, provider, system: systemPrompt, user: userPrompt, function: `synthesize_${profileKey}` });
+    return text;
   } catch(e) {
       console.error(`    ❌ AI synthesis failed: ${e.message}`);
       return `SYNTHESIS_FAILED: ${e.message}`;
   }
+}
 
-  const cost = (tokensUsed / 1000) * (models[modelKey]?.cost_per_1k_tokens || 0);
-  await logApiUsage({ provider, model: modelKey, tokensUsed, cost, function: `synthesize_${profileKey}` });
-  
-  return synthesizedText;
+/**
+ * How many tokens of source text fit in one request to a model next to a system prompt.
+ * @param {string} modelKey - A key of the "models" block in profiles.json.
+ * @param {string} systemPrompt
+ * @returns {number}
+ */
+function sourceTokenBudget(modelKey, systemPrompt) {
+    const contextWindow = contextWindowFor(models, modelKey);
+    // The instructions around the sources take a few hundred tokens at most
+    const promptOverhead = estimateTokens(systemPrompt) + 300;
+    return Math.max(500, contextWindow - Math.min(ANSWER_RESERVE_TOKENS, contextWindow / 4) - promptOverhead);
+}
+
+/**
+ * Condenses one source, part of a source or group of earlier summaries (the "map" step).
+ * @returns {Promise<string>} The summary, or `SYNTHESIS_FAILED: ...`.
+ */
+async function summarizeChunk(task, chunk, language, cite = false) {
+  const { modelKey, provider } = generatorFor(task);
+  const keepMarkers = cite ? ' Keep the source markers ([S1], [S2], ...) after every fact you keep.' : '';
+  let userPrompt = `Summarize the following source material for a piece on the subject: "${task.subject}". Write the summary in ${LANGUAGE_NAMES[language]}.${keepMarkers}\n\n--- SOURCE ${chunk.label} ---\n${chunk.text}`;
+  if (isTestMode) userPrompt += TEST_MODE_SUFFIX;
+  try {
+    const { text } = await llm.chat({ model: modelKey, provider, system: SUMMARIZER_SYSTEM_PROMPT, user: userPrompt, function: 'synthesize_map' });
+    return text;
+  } catch (e) {
+    console.error(`    ❌ Summarizing ${chunk.label} failed: ${e.message}`);
+    return `SYNTHESIS_FAILED: ${e.message}`;
+  }
+}
+
+/**
+ * Synthesizes a plan's sources in one request when they fit the generator model's
+ * `context_window`, and by map-reduce otherwise: every source, or every chunk of a long one,
+ * is summarized on its own, the summaries are merged until they fit, and the piece is written
+ * from them.
+ * @param {object} task - The plan row.
+ * @param {Array<{id: string, marker: string, text: string}>} sources - The prompt text of each processed row.
+ * @param {string} language - The ISO 639-1 code to write in.
+ * @param {boolean} [cite=false] - Ask for [S1]-style citations; chunks keep their source's marker.
+ * @returns {Promise<{text: string, strategy: string}>} The synthesis (or `SYNTHESIS_FAILED: ...`)
+ *   and `single` or `map_reduce`.
+ */
+async function synthesizeFromSources(task, sources, language, cite = false) {
+  const { modelKey } = generatorFor(task);
+  const profile = generators[task.profile || Object.keys(generators)[0]];
+  const budget = sourceTokenBudget(modelKey, profile?.system_prompt || '');
+  const combinedContent = sources.map(source => source.text).join(SOURCE_SEPARATOR);
+  const sourceTokens = estimateTokens(combinedContent);
+  if (sourceTokens <= budget) {
+    return { text: await synthesizeContent(task, combinedContent, language, cite), strategy: 'single' };
+  }
+
+  const mapBudget = sourceTokenBudget(modelKey, SUMMARIZER_SYSTEM_PROMPT);
+  const chunks = sources.flatMap(source => {
+    const parts = splitIntoChunks(source.text, mapBudget);
+    // With citations the marker heads every part, so the summaries can keep citing it
+    const name = cite ? `[${source.marker}]` : `[source ${source.id}]`;
+    return parts.map((text, i) => ({ label: parts.length > 1 ? `${name} part ${i + 1}/${parts.length}` : name, text }));
+  });
+  console.log(`  - Sources are ~${sourceTokens} tokens, over the ~${budget} that fit ${modelKey}; summarizing ${chunks.length} chunk(s) from ${sources.length} source(s) first.`);
+
+  let notes = [];
+  for (const chunk of chunks) {
+    const summary = await summarizeChunk(task, chunk, language, cite);
+    if (summary.startsWith('SYNTHESIS_FAILED:')) return { text: summary, strategy: 'map_reduce' };
+    notes.push(`${chunk.label}\n${summary}`);
+  }
+
+  // Many sources can still add up to too much: merge neighbouring summaries until they fit
+  for (let round = 1; estimateTokens(notes.join(SOURCE_SEPARATOR)) > budget; round++) {
+    const groups = packIntoChunks(notes, mapBudget, SOURCE_SEPARATOR);
+    if (round > MAX_REDUCE_ROUNDS || groups.length >= notes.length) {
+      console.warn(`    ⚠️  The summaries are still ~${estimateTokens(notes.join(SOURCE_SEPARATOR))} tokens; synthesizing from them anyway.`);
+      break;
+    }
+    console.log(`  - Merging ${notes.length} summaries into ${groups.length}...`);
+    const merged = [];
+    for (const [i, text] of groups.entries()) {
+      const summary = await summarizeChunk(task, { label: `[summaries] group ${i + 1}/${groups.length}`, text }, language, cite);
+      if (summary.startsWith('SYNTHESIS_FAILED:')) return { text: summary, strategy: 'map_reduce' };
+      merged.push(summary);
+    }
+    notes = merged;
+  }
+
+  return { text: await synthesizeContent(task, notes.join(SOURCE_SEPARATOR), language, cite), strategy: 'map_reduce' };
 }
 
-async function translateText(text, platform) {
+async function translateText(text, platform, sourceLanguage = 'en', targetLanguage = 'ko') {
   if (!text || text.startsWith("SYNTHESIS_FAILED:")) return text;
+  if (sourceLanguage === targetLanguage) {
+      console.log(`  - Skipping translation for ${platform}: already in ${LANGUAGE_NAMES[targetLanguage]}.`);
+      return text;
+  }
 
   if (translator) {
       try {
-          console.log(`  - Translating for ${platform} with DeepL...`);
-          const result = await translator.translateText(text, 'en', 'ko');
+          console.log(`  - Translating for ${platform} with DeepL (${sourceLanguage} → ${targetLanguage})...`);
+          const result = await translator.translateText(text, sourceLanguage, DEEPL_TARGET_LANGUAGES[targetLanguage] || targetLanguage);
           await logApiUsage({ provider: "deepl", model: "deepl-api", function: "translate", characters: text.length });
           return result.text;
       } catch(e) {
-          console.error(`    ❌ DeepL translation failed: ${e.message}. Falling back to Gemini.`);
+          console.error(`    ❌ DeepL translation failed: ${e.message}. Falling back to ${TRANSLATOR_MODEL_KEY}.`);
       }
   }
 
-  if (genai) {
+  if (llm.isAvailable(TRANSLATOR_MODEL_KEY)) {
     try {
-      console.log(`  - Translating for ${platform} with Gemini (fallback)...`);
-      const model = genai.getGenerativeModel({ model: TRANSLATOR_MODEL_KEY });
-      const prompt = `Translate the following English text to Korean. Only return the translated text.\n\n${text}`;
-      const result = await model.generateContent(prompt);
-      const translated = result.response.text();
-      const tokensUsed = Math.round((prompt.length + translated.length) / 4);
-      const cost = (tokensUsed / 1000) * (models[TRANSLATOR_MODEL_KEY]?.cost_per_1k_tokens || 0);
-      await logApiUsage({ provider: "gemini", model: TRANSLATOR_MODEL_KEY, tokensUsed, cost, function: "translate_fallback" });
+      console.log(`  - Translating for ${platform} with ${TRANSLATOR_MODEL_KEY} (fallback)...`);
+      const prompt = `Translate the following ${LANGUAGE_NAMES[sourceLanguage]} text to ${LANGUAGE_NAMES[targetLanguage]}. Only return the translated text.\n\n${text}`;
+      const { text: translated } = await llm.chat({ model: TRANSLATOR_MODEL_KEY, user: prompt, function: "translate_fallback" });
       return translated;
     } catch (e) {
-      console.error(`    ❌ Gemini translation failed: ${e.message}`);
+      console.error(`    ❌ Fallback translation failed: ${e.message}`);
       return `TRANSLATION_FAILED: ${e.message}`;
     }
   }
   return "Translation skipped: No API key set.";
 }
 
+/**
+ * Rewrites all_runs.csv with the current `RUN_COLUMNS`; runs from before a column existed get
+ * it blank.
+ * @param {object[]} runs - The parsed runs.
+ */
+async function migrateRunsFile(runs) {
+    console.log(`🔧 Migrating ${path.basename(RUNS_FILE_PATH)} to the current column layout...`);
+    const csvString = Papa.unparse(runs, { columns: RUN_COLUMNS, quotes: true, newline: '\n' });
+    await fs.writeFile(RUNS_FILE_PATH, '\ufeff' + csvString + '\n', 'utf-8');
+}
+
 async function main() {
     if (isTestMode) console.log("🧪 RUNNING IN TEST MODE 🧪");
     await loadConfig();
@@ -147,23 +273,39 @@ async function main() {
 
     const runsMap = new Map();
     let nextRunId = 1;
+    let runsCsv = null;
     try {
-        await fs.access(RUNS_FILE_PATH);
-        const runsCsv = await fs.readFile(RUNS_FILE_PATH, 'utf-8');
+        runsCsv = await fs.readFile(RUNS_FILE_PATH, 'utf-8');
+    } catch (e) {
+        // Anything but a missing file must not end with earlier runs overwritten
+        if (e.code !== 'ENOENT') throw e;
+        console.log('No existing runs file found. A new one will be created.');
+        await fs.writeFile(RUNS_FILE_PATH, '\ufeff' + RUN_COLUMNS.join(',') + '\n', 'utf-8');
+    }
+    if (runsCsv !== null) {
         const runs = csvParse(runsCsv, { columns: true, bom: true });
+        const header = csvParse(runsCsv, { bom: true, to_line: 1 })[0] || [];
+        if (header.join(',') !== RUN_COLUMNS.join(',')) await migrateRunsFile(runs);
         if (runs.length > 0) {
             runs.forEach(run => runsMap.set(run.plan_hash, run));
             nextRunId = Math.max(...runs.map(r => parseInt(r.run_id, 10))) + 1;
         }
-    } catch (e) {
-        console.log('No existing runs file found. A new one will be created.');
-        const headers = ['run_id', 'plan_hash', 'processed_ids', 'subject', 'profile', 'synthesis_en', 'synthesis_kor', 'linkedin_en', 'linkedin_kor', 'x_en', 'x_kor', 'facebook_en', 'facebook_kor', 'threads_en', 'threads_kor'].join(',');
-        await fs.writeFile(RUNS_FILE_PATH, '\ufeff' + headers + '\n', 'utf-8');
     }
 
     for (const task of manualPlan) {
         const processedIds = task.processed_ids.split(',').map(id => id.trim());
-        const combinedContent = processedIds.map(id => contentMap.get(id)?.content || `[Content for ID ${id} not found]`).join('\n\n---\n\n');
+        const cite = wantsCitations(task);
+        const citationSources = labelSources(processedIds, contentMap);
+        // The Markdown version keeps headings, lists and tables, which helps the model follow the structure
+        const sources = processedIds.map((id, i) => {
+            const row = contentMap.get(id);
+            const body = row?.content_markdown || row?.content || `[Content for ID ${id} not found]`;
+            // Community posts: the replies show how readers reacted and can be quoted
+            const comments = formatCommentsForPrompt(row?.comments);
+            const text = comments ? `${body}\n\nTop comments from readers:\n${comments}` : body;
+            const { marker } = citationSources[i];
+            return { id, marker, text: cite ? `[${marker}] ${row?.title || ''}\n\n${text}` : text };
+        });
         
         const planHash = `${task.processed_ids}-${task.subject}-${task.profile || 'default'}`;
         if (runsMap.has(planHash)) {
@@ -171,9 +313,41 @@ async function main() {
             continue;
         }
         
+        // A paywall teaser or challenge page would be summarized as if it were the article
+        const blockedRows = processedIds
+            .map(id => contentMap.get(id))
+            .filter(row => row && ACCESS_WALL_STATUSES.has(row.scraping_status));
+        if (blockedRows.length > 0) {
+            const list = blockedRows.map(row => `${row.processed_id} (${row.scraping_status})`).join(', ');
+            if (!isForced) {
+                console.log(`🧱 Skipping plan "${task.subject}": not the full article for ${list}. Re-scrape them or run with --force.`);
+                continue;
+            }
+            console.warn(`⚠️  Using incomplete sources for "${task.subject}" because of --force: ${list}`);
+        }
+
         console.log(`✍️  Generating content for subject: "${task.subject}"`);
-        const synthesizedEn = await synthesizeContent(task, combinedContent);
-        const synthesizedKor = await translateText(synthesizedEn, "article");
+        // Korean sources are written up in Korean and translated to English; everything else the other way round
+        const sourceLanguage = planLanguage(processedIds.map(id => contentMap.get(id)).filter(Boolean));
+        const writeLanguage = sourceLanguage === 'ko' ? 'ko' : 'en';
+        const translateLanguage = writeLanguage === 'ko' ? 'en' : 'ko';
+        console.log(`  - Sources are in ${LANGUAGE_NAMES[sourceLanguage] || 'an undetected language'}; writing in ${LANGUAGE_NAMES[writeLanguage]}.`);
+        let { text: synthesized, strategy } = await synthesizeFromSources(task, sources, writeLanguage, cite);
+        let citations = null;
+        if (cite && !synthesized.startsWith('SYNTHESIS_FAILED:')) {
+            const checked = validateCitations(synthesized, citationSources);
+            synthesized = checked.text;
+            citations = checked.citations;
+            if (checked.invalid.length > 0) {
+                console.warn(`    ⚠️  Removed citations of sources the plan does not have: ${checked.invalid.map(marker => `[${marker}]`).join(', ')}`);
+            }
+            const citedCount = Object.keys(citations).length;
+            if (citedCount === 0) console.warn(`    ⚠️  The synthesis cites none of the ${citationSources.length} sources.`);
+            else console.log(`  - 🔗 Cites ${citedCount} of ${citationSources.length} sources.`);
+        }
+        let translated = await translateText(synthesized, "article", writeLanguage, translateLanguage);
+        // Translation must not invent markers either
+        if (citations) translated = validateCitations(translated, citationSources).text;
 
         const runData = {
             run_id: nextRunId++,
@@ -181,24 +355,32 @@ async function main() {
             processed_ids: task.processed_ids,
             subject: task.subject,
             profile: task.profile || Object.keys(generators)[0],
-            synthesis_en: synthesizedEn,
-            synthesis_kor: synthesizedKor,
+            [`synthesis_${COLUMN_SUFFIXES[writeLanguage]}`]: synthesized,
+            [`synthesis_${COLUMN_SUFFIXES[translateLanguage]}`]: translated,
+            synthesis_strategy: strategy,
+            citations: citations ? JSON.stringify(citations) : '',
         };
 
         for (const platform of ['linkedin', 'x', 'facebook', 'threads']) {
-            const snsContent = composeForSns(platform, synthesizedEn, { title: task.subject });
+            const snsContent = composeForSns(platform, synthesized, { title: task.subject, sources: citedSources(citations) });
             if (snsContent.error) {
                 console.warn(`    ⚠️  Could not compose for ${platform}: ${snsContent.error}`);
                 continue;
             }
-            runData[`${platform}_en`] = snsContent.text.join('\n\n');
-            const koreanSnsContent = await translateText(snsContent.text.join('\n\n'), platform);
-            runData[`${platform}_kor`] = koreanSnsContent;
+            // Only the body is translated; the Sources footer goes under both versions as composed
+            const post = snsContent.text.join('\n\n');
+            const withFooter = (text) => [text, ...(snsContent.sourcesFooter || [])].join('\n\n');
+            runData[`${platform}_${COLUMN_SUFFIXES[writeLanguage]}`] = withFooter(post);
+            let translatedPost = await translateText(post, platform, writeLanguage, translateLanguage);
+            if (citations) translatedPost = validateCitations(translatedPost, citationSources).text;
+            runData[`${platform}_${COLUMN_SUFFIXES[translateLanguage]}`] = withFooter(translatedPost);
         }
         
         // Use Papaparse to safely convert the single record to a CSV string
-        // Note: We only provide the data, not headers, for appending.
+        // Note: We only provide the data, not headers, for appending. `columns` keeps the header's
+        // order whichever language was written first, and leaves skipped platforms blank.
         const csvString = Papa.unparse([runData], {
+            columns: RUN_COLUMNS,
             header: false,
             quotes: true, // Ensure all fields are quoted
             newline: '\n'
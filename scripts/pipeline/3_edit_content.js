@@ -4,8 +4,7 @@ import path from 'path';
 import { parse as csvParse } from 'csv-parse/sync';
 import { stringify as csvStringify } from 'csv-stringify/sync';
 import Papa from 'papaparse';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { logApiUsage } from '../logger.js';
+import { createLlmClient, resolveModel } from '../llm-providers.js';
 
 // --- Configuration ---
 const DATA_DIR = path.join(process.cwd(), 'data');
@@ -39,29 +38,27 @@ const defaults = isTestMode ? config.test_defaults : config.defaults;
 const EDITOR_MODEL_KEY = defaults.editor_model;
 
 // --- AI Client Initialization ---
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-let genai;
-if (GEMINI_API_KEY) {
-  genai = new GoogleGenerativeAI(GEMINI_API_KEY);
-} else {
-  console.warn("GEMINI_API_KEY not found in .env. The script will run without AI editing capabilities.");
+// The provider comes from the editor model's entry in profiles.json
+const llm = createLlmClient(config.models);
+const isAiAvailable = llm.isAvailable(EDITOR_MODEL_KEY);
+if (!isAiAvailable) {
+  const { provider } = resolveModel(config.models, EDITOR_MODEL_KEY);
+  console.warn(`No API key found for ${EDITOR_MODEL_KEY} (provider: ${provider || 'unknown'}). The script will run without AI editing capabilities.`);
 }
 
 /**
- * Edits a given text using a specified Gemini model and profile.
+ * Edits a given text using the configured editor model and profile.
  * @param {string} textToEdit - The text content to be edited.
  * @param {object} profile - The editor profile containing the system prompt.
- * @param {object} modelsConfig - Configuration for AI models.
  * @returns {Promise<string>} - The edited text.
  */
-async function editContent(textToEdit, profile, modelsConfig, platform, lang) {
-  if (!genai || !textToEdit) {
+async function editContent(textToEdit, profile, platform, lang) {
+  if (!isAiAvailable || !textToEdit) {
     return textToEdit; // Return original if AI is not configured or text is empty
   }
 
   console.log(`  - Editing for ${platform} (${lang}) with ${EDITOR_MODEL_KEY} using profile '${editorProfileKey}'`);
   
-  const model = genai.getGenerativeModel({ model: EDITOR_MODEL_KEY });
   const systemPrompt = profile.system_prompt;
   let userPrompt = `Please enhance the following text according to your instructions. **Crucially, you must respond in the same language as the input text.**\n\n--- TEXT ---\n${textToEdit}`;
 
@@ -70,14 +67,7 @@ async function editContent(textToEdit, profile, modelsConfig, platform, lang) {
   }
 
   try {
-    const result = await model.generateContent([systemPrompt, userPrompt]);
-    const editedText = result.response.text();
-    
-    // Log API usage
-    const tokensUsed = Math.round((systemPrompt.length + userPrompt.length + editedText.length) / 4); // Estimate
-    const cost = (tokensUsed / 1000) * (modelsConfig[EDITOR_MODEL_KEY]?.cost_per_1k_tokens || 0);
-    await logApiUsage({ provider: "gemini", model: EDITOR_MODEL_KEY, tokensUsed, cost, function: `edit_${editorProfileKey}` });
-
+    const { text: editedText } = await llm.chat({ model: EDITOR_MODEL_KEY, system: systemPrompt, user: userPrompt, function: `edit_${editorProfileKey}` });
     return editedText;
   } catch (e) {
     console.error(`    ❌ AI editing failed: ${e.message}`);
@@ -95,7 +85,7 @@ async function main() {
 
   console.log(`🚀 Starting content editing process with profile: '${editorProfileKey}'...`);
 
-  if (!genai) {
+  if (!isAiAvailable) {
     console.log("🚫 AI client not initialized. Exiting.");
     return;
   }
@@ -149,7 +139,6 @@ async function main() {
   }
 
   const editorProfile = config.enhancers[editorProfileKey];
-  const modelsConfig = config.models;
 
   if (!editorProfile) {
     console.error(`❌ Editor profile '${editorProfileKey}' not found in config.json's enhancers section. Exiting.`);
@@ -203,7 +192,7 @@ async function main() {
 
         if (run[sourceCol]) {
           const originalText = run[sourceCol];
-          const editedText = await editContent(originalText, editorProfile, modelsConfig, platform, lang);
+          const editedText = await editContent(originalText, editorProfile, platform, lang);
           newEditedRun[targetCol] = editedText;
           hasContentToEdit = true;
         }
@@ -3,8 +3,7 @@ import { promises as fs, existsSync } from 'fs';
 import path from 'path';
 import { parse as csvParse } from 'csv-parse/sync';
 import { stringify as csvStringify } from 'csv-stringify/sync';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { logApiUsage } from '../logger.js';
+import { createLlmClient, resolveModel } from '../llm-providers.js';
 
 // --- Configuration ---
 const DATA_DIR = path.join(process.cwd(), 'data');
@@ -34,32 +33,33 @@ const defaults = isTestMode ? config.test_defaults : config.defaults;
 const HUMANIZER_MODEL_KEY = defaults.humanizer_model;
 
 // --- AI Client Initialization ---
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-let genai;
-if (GEMINI_API_KEY) {
-  genai = new GoogleGenerativeAI(GEMINI_API_KEY);
-} else {
-  console.warn("GEMINI_API_KEY not found in .env. The script will run without AI capabilities.");
+// The provider comes from the humanizer model's entry in profiles.json
+const llm = createLlmClient(config.models);
+const isAiAvailable = llm.isAvailable(HUMANIZER_MODEL_KEY);
+if (!isAiAvailable) {
+  const { provider } = resolveModel(config.models, HUMANIZER_MODEL_KEY);
+  console.warn(`No API key found for ${HUMANIZER_MODEL_KEY} (provider: ${provider || 'unknown'}). The script will run without AI capabilities.`);
 }
 
 async function humanizeContent(textToHumanize, profile, platform, lang, humanizerProfileKey) {
-    if (isTestMode) {
+    // --test never pays for a call; with --mock the request goes to the mock instead
+    if (isTestMode && !llm.mock) {
         return `[TEST] Humanized content for ${platform} (${lang}).`;
     }
-    if (!genai || !textToHumanize) {
+    if (!isAiAvailable || !textToHumanize) {
         return textToHumanize;
     }
 
     console.log(`  - Humanizing for ${platform} (${lang}) with ${HUMANIZER_MODEL_KEY} using profile '${humanizerProfileKey}'`);
     
-    const model = genai.getGenerativeModel({ model: HUMANIZER_MODEL_KEY });
     const systemPrompt = profile.system_prompt;
     let userPrompt = `Please rewrite the following text:\n\n--- TEXT ---\n${textToHumanize}`;
+    if (isTestMode) {
+        userPrompt += "\n\n**IMPORTANT: For this test run, please keep your response extremely short (under 20 words).**";
+    }
 
     try {
-        const result = await model.generateContent([systemPrompt, userPrompt]);
-        const humanizedText = result.response.text();
-        await logApiUsage({ provider: "gemini", model: HUMANIZER_MODEL_KEY, function: `humanize_${humanizerProfileKey}` });
+        const { text: humanizedText } = await llm.chat({ model: HUMANIZER_MODEL_KEY, system: systemPrompt, user: userPrompt, function: `humanize_${humanizerProfileKey}` });
         return humanizedText;
     } catch (e) {
         console.error(`    ❌ AI humanization failed: ${e.message}`);
@@ -0,0 +1,199 @@
+import { logEvent } from "./logger.js";
+
+// robots.txt compliance for stage 1 (RFC 9309). Each host's robots.txt is fetched once per run
+// and cached in memory. Disallow/Allow use the longest match with `*` and `$` wildcards, Allow
+// winning ties, and Crawl-delay feeds the per-domain politeness delay. Per-domain overrides
+// live in the "robots" block of profiles.json and are logged every time they change a decision.
+// Every page request carries the product token in its User-Agent (see `withRobotsToken`), so the
+// rules we follow are the ones for the agent the site actually sees.
+
+export const DEFAULT_ROBOTS_USER_AGENT = 'WebArticleSummarizer';
+
+const ROBOTS_TIMEOUT_MS = 10000;
+const MAX_ROBOTS_BYTES = 500 * 1024; // RFC 9309 lets crawlers ignore anything past 500 KiB
+
+/**
+ * Appends the robots.txt product token to a User-Agent, the way crawlers identify themselves
+ * after a browser or site-specific agent string.
+ * @param {string} userAgent - The User-Agent that would be sent otherwise.
+ * @param {string} [token] - Our product token; defaults to `DEFAULT_ROBOTS_USER_AGENT`.
+ * @returns {string} The User-Agent to send.
+ */
+export function withRobotsToken(userAgent, token = DEFAULT_ROBOTS_USER_AGENT) {
+  if (!userAgent) return token;
+  return userAgent.toLowerCase().includes(token.toLowerCase()) ? userAgent : `${userAgent} ${token}`;
+}
+
+/**
+ * Parses robots.txt into groups of user agents and their rules.
+ * @param {string} text - The robots.txt body.
+ * @returns {Array<{agents: string[], rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}>}
+ */
+export function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const rawLine of String(text || '').slice(0, MAX_ROBOTS_BYTES).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything, which is the same as having no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (seconds >= 0) current.crawlDelay = seconds;
+    }
+  }
+  return groups;
+}
+
+/**
+ * Picks the rules that apply to a user agent: every group naming its product token, or the
+ * `*` groups when none does.
+ * @param {object[]} groups - From `parseRobots`.
+ * @param {string} userAgent - Our product token (e.g. "WebArticleSummarizer").
+ * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}}
+ */
+function rulesFor(groups, userAgent) {
+  const token = userAgent.toLowerCase();
+  let matching = groups.filter(group => group.agents.some(agent => agent !== '*' && token.startsWith(agent)));
+  if (matching.length === 0) matching = groups.filter(group => group.agents.includes('*'));
+  const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    rules: matching.flatMap(group => group.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null,
+  };
+}
+
+// `*` matches any run of characters; a trailing `$` anchors the end of the path
+const patternToRegex = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Finds the rule deciding a path: the longest matching pattern, Allow winning ties.
+ * @param {Array<{allow: boolean, path: string}>} rules - The applicable rules.
+ * @param {string} pathAndQuery - The URL path with its query string.
+ * @returns {{allow: boolean, path: string}|null} The deciding rule, or null when none matches.
+ */
+export function findDecidingRule(rules, pathAndQuery) {
+  let best = null;
+  for (const rule of rules) {
+    let matches;
+    try {
+      matches = patternToRegex(rule.path).test(pathAndQuery);
+    } catch (e) {
+      continue; // Malformed pattern
+    }
+    if (!matches) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow && !best.allow)) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+/**
+ * Fetches and parses a host's robots.txt. A missing file (4xx) allows everything; a server
+ * error or an unreachable host is reported so the caller can retry later instead of guessing.
+ * @param {string} origin - e.g. "https://www.example.com".
+ * @param {string} userAgent - Sent as the User-Agent header.
+ * @returns {Promise<{groups: object[], unreachable?: string}>}
+ */
+async function fetchRobots(origin, userAgent) {
+  try {
+    const response = await fetch(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': userAgent },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(ROBOTS_TIMEOUT_MS),
+    });
+    if (response.status >= 500) return { groups: [], unreachable: `HTTP ${response.status}` };
+    if (!response.ok) return { groups: [] };
+    return { groups: parseRobots(await response.text()) };
+  } catch (e) {
+    return { groups: [], unreachable: e.message };
+  }
+}
+
+/**
+ * Creates the robots.txt policy for one run.
+ * @param {object} [settings] - The "robots" block of profiles.json.
+ * @param {string} [settings.user_agent] - Product token matched against User-agent lines.
+ * @param {boolean} [settings.enabled=true] - false turns the checks off (logged once).
+ * @param {object} [settings.overrides] - Per-domain `{ ignore_robots, ignore_crawl_delay, reason }`.
+ * @returns {{ userAgent: string, check: (url: string) => Promise<{allowed: boolean, unreachable?: string, rule?: string,
+ *   crawl_delay_ms: number, override?: string}> }} `userAgent` is the product token, to be passed to
+ *   `withRobotsToken` for every request.
+ */
+export function makeRobotsPolicy(settings = {}) {
+  const userAgent = settings.user_agent || DEFAULT_ROBOTS_USER_AGENT;
+  const enabled = settings.enabled !== false;
+  const overrides = settings.overrides || {};
+  const cache = new Map();
+  const delayOverridesLogged = new Set();
+
+  if (!enabled) console.log("⚖️  robots.txt checks are turned off (robots.enabled = false in profiles.json).");
+
+  const overrideFor = (hostname) => {
+    const domain = Object.keys(overrides).find(d => hostname === d || hostname.endsWith(`.${d}`));
+    return domain ? { domain, ...overrides[domain] } : null;
+  };
+
+  return {
+    userAgent,
+    async check(url) {
+      if (!enabled) return { allowed: true, crawl_delay_ms: 0 };
+      const parsed = new URL(url);
+      if (!cache.has(parsed.origin)) cache.set(parsed.origin, fetchRobots(parsed.origin, userAgent));
+      const { groups, unreachable } = await cache.get(parsed.origin);
+      const override = overrideFor(parsed.hostname);
+      const reason = override?.reason || 'no reason given';
+
+      const { rules, crawlDelay } = rulesFor(groups, userAgent);
+      const rule = findDecidingRule(rules, `${parsed.pathname}${parsed.search}`);
+      const result = unreachable
+        ? { allowed: false, unreachable, crawl_delay_ms: 0 }
+        : {
+          allowed: !rule || rule.allow,
+          ...(rule ? { rule: `${rule.allow ? 'Allow' : 'Disallow'}: ${rule.path}` } : {}),
+          crawl_delay_ms: crawlDelay ? crawlDelay * 1000 : 0,
+        };
+
+      if (!result.allowed && override?.ignore_robots) {
+        const what = unreachable ? `robots.txt of ${parsed.hostname} is unreachable (${unreachable})` : `robots.txt disallows ${url} (${result.rule})`;
+        console.log(`  ⚖️  ${what}; crawling anyway because of the override for ${override.domain} in profiles.json: ${reason}`);
+        await logEvent({ event: "robots_override", url, domain: override.domain, rule: result.rule || unreachable, reason });
+        return { ...result, allowed: true, override: reason };
+      }
+      if (result.crawl_delay_ms > 0 && override?.ignore_crawl_delay) {
+        if (!delayOverridesLogged.has(parsed.hostname)) {
+          delayOverridesLogged.add(parsed.hostname);
+          console.log(`  ⚖️  Ignoring the ${crawlDelay}s Crawl-delay of ${parsed.hostname} because of the override for ${override.domain} in profiles.json: ${reason}`);
+          await logEvent({ event: "robots_crawl_delay_override", domain: override.domain, host: parsed.hostname, crawl_delay_s: crawlDelay, reason });
+        }
+        return { ...result, crawl_delay_ms: 0, override: reason };
+      }
+      return result;
+    },
+  };
+}
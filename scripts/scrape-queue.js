@@ -0,0 +1,99 @@
+import { logServer, makeRateCounter } from "./logger.js";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @typedef {Object} DomainLimits
+ * @property {number} max_concurrent - Maximum requests in flight for the domain.
+ * @property {number} min_delay_ms - Minimum time between two request starts on the domain.
+ */
+
+/**
+ * Runs `worker` over `items` with a bounded number of workers while respecting per-domain
+ * politeness limits. A free worker takes the first queued item whose domain is allowed to
+ * start, so one slow domain does not stall the others. Results are handed to `onResult`
+ * strictly in input order, one at a time, as soon as every earlier item has finished.
+ * Requests started per domain in the last minute and hour are counted with `makeRateCounter`
+ * and logged with each `scrape:start` event.
+ *
+ * @param {any[]} items - The work items, in the order their results must be emitted.
+ * @param {object} options
+ * @param {number} options.concurrency - Total number of workers (e.g. open browser pages).
+ * @param {(item: any) => string} options.domainOf - Domain key used for the limits.
+ * @param {(item: any) => DomainLimits} options.limitsFor - Limits for the item's domain.
+ * @param {(item: any) => Promise<any>} options.worker - Processes one item.
+ * @param {(result: any, item: any, index: number) => Promise<void>} options.onResult - Receives results in order.
+ * @returns {Promise<void>}
+ */
+export async function runPoliteQueue(items, { concurrency, domainOf, limitsFor, worker, onResult }) {
+  const pending = items.map((item, index) => ({ item, index, domain: domainOf(item), limits: limitsFor(item) }));
+  const domains = new Map();
+  const bump = makeRateCounter([60000, 3600000]);
+  const results = new Map();
+  let nextToEmit = 0;
+  let emitting = Promise.resolve();
+
+  let wake;
+  let released = new Promise(resolve => (wake = resolve));
+  const signalRelease = () => {
+    wake();
+    released = new Promise(resolve => (wake = resolve));
+  };
+
+  const stateOf = (domain) => {
+    if (!domains.has(domain)) domains.set(domain, { active: 0, nextStartAt: 0 });
+    return domains.get(domain);
+  };
+
+  async function takeJob() {
+    while (pending.length > 0) {
+      const now = Date.now();
+      let soonest = Infinity;
+      for (let i = 0; i < pending.length; i++) {
+        const job = pending[i];
+        const state = stateOf(job.domain);
+        if (state.active >= job.limits.max_concurrent) continue;
+        if (now >= state.nextStartAt) {
+          pending.splice(i, 1);
+          state.active++;
+          state.nextStartAt = now + job.limits.min_delay_ms;
+          return job;
+        }
+        soonest = Math.min(soonest, state.nextStartAt - now);
+      }
+      // Nothing can start yet: wait for a delay to elapse or for a running job to free its domain
+      await (soonest === Infinity ? released : Promise.race([sleep(soonest), released]));
+    }
+    return null;
+  }
+
+  function emitReady() {
+    emitting = emitting.then(async () => {
+      while (results.has(nextToEmit)) {
+        const result = results.get(nextToEmit);
+        results.delete(nextToEmit);
+        await onResult(result, items[nextToEmit], nextToEmit);
+        nextToEmit++;
+      }
+    });
+    return emitting;
+  }
+
+  async function runWorker() {
+    for (let job = await takeJob(); job; job = await takeJob()) {
+      const counts = bump(job.domain);
+      await logServer({ tag: "scrape:start", host: job.domain, index: job.index, last_minute: counts[60000], last_hour: counts[3600000] });
+      try {
+        results.set(job.index, await worker(job.item));
+      } finally {
+        stateOf(job.domain).active--;
+        signalRelease();
+      }
+      await emitReady();
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, pending.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  await emitReady();
+}
@@ -0,0 +1,34 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const SCRAPING_RULES_PATH = path.join(process.cwd(), 'config', 'scraping_rules.json');
+
+/**
+ * Loads config/scraping_rules.json.
+ * @returns {Promise<object>} The parsed rules ({ default, specific_rules }).
+ */
+export async function loadScrapingRules() {
+  return JSON.parse(await fs.readFile(SCRAPING_RULES_PATH, 'utf-8'));
+}
+
+/**
+ * Finds the site-specific rule for a URL or hostname.
+ * Matching mirrors the in-browser extractor: the first domain key contained in the hostname wins.
+ * @param {object} rules - The parsed scraping rules.
+ * @param {string} urlOrHostname - A full URL or a bare hostname.
+ * @returns {object} The site rule, or an empty object when none matches.
+ */
+export function findSiteRule(rules, urlOrHostname) {
+  let hostname = urlOrHostname || '';
+  try {
+    hostname = new URL(urlOrHostname).hostname;
+  } catch (e) {
+    // Already a hostname
+  }
+  for (const domain in rules.specific_rules || {}) {
+    if (hostname.includes(domain)) {
+      return rules.specific_rules[domain];
+    }
+  }
+  return {};
+}
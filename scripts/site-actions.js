@@ -0,0 +1,179 @@
+// Runs the per-site browser setup and actions declared in config/scraping_rules.json, so
+// sites with consent walls, lazy loading or "more" buttons need no code of their own.
+//
+// Page setup (site rule fields, applied before navigation):
+//   "user_agent": "...",
+//   "viewport": { "width": 1280, "height": 800, "height_jitter": 100 },
+//   "delay_before_ms": 2000 | [min, max],
+//   "wait_until": "networkidle2" | "load" | "domcontentloaded"
+// Actions (site rule "actions" array, run in order after the page loaded):
+//   { "type": "wait_for", "selector": "...", "timeout_ms": 10000 }
+//   { "type": "click", "selector": "...", "text": "Accept", "timeout_ms": 10000, "wait_after_ms": 2000 }
+//   { "type": "expand", "selector": "button", "text": "더보기", "max_clicks": 10, "wait_after_ms": 1000 }
+//   { "type": "scroll", "times": 5, "delay_ms": 1000 }
+//   { "type": "delay", "ms": 2000 } or { "type": "delay", "ms": [min, max] }
+// Actions are best effort: a missing element is logged and skipped unless the action sets "required": true.
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_WAIT_AFTER_MS = 1000;
+const DEFAULT_MAX_CLICKS = 10;
+const DEFAULT_SCROLLS = 5;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolves a delay given as a number of milliseconds or a [min, max] range.
+ * @param {number|number[]} value - The configured delay.
+ * @returns {number} The delay to wait, in milliseconds.
+ */
+function pickDelay(value) {
+  if (Array.isArray(value)) {
+    const [min, max] = value;
+    return min + Math.random() * Math.max(0, max - min);
+  }
+  return Number(value) || 0;
+}
+
+/**
+ * Finds the first visible element matching a selector and, optionally, containing a text.
+ * @param {object} page - The Puppeteer page.
+ * @param {string} selector - A CSS selector.
+ * @param {string} [text] - Text the element must contain (case-insensitive).
+ * @returns {Promise<object|null>} The element handle, or null.
+ */
+async function findElement(page, selector, text) {
+  for (const handle of await page.$$(selector)) {
+    const matches = await handle.evaluate((el, wanted) => {
+      const style = window.getComputedStyle(el);
+      const visible = style.display !== 'none' && style.visibility !== 'hidden' && el.getClientRects().length > 0;
+      return visible && (!wanted || (el.textContent || '').toLowerCase().includes(wanted.toLowerCase()));
+    }, text || '');
+    if (matches) return handle;
+    await handle.dispose();
+  }
+  return null;
+}
+
+/**
+ * Waits up to `timeout` for an element from `findElement` to appear.
+ * @param {object} page - The Puppeteer page.
+ * @param {string} selector - A CSS selector.
+ * @param {string} [text] - Text the element must contain.
+ * @param {number} timeout - Maximum wait in milliseconds.
+ * @returns {Promise<object|null>} The element handle, or null after the timeout.
+ */
+async function waitForElement(page, selector, text, timeout) {
+  const deadline = Date.now() + timeout;
+  do {
+    const handle = await findElement(page, selector, text);
+    if (handle) return handle;
+    await sleep(250);
+  } while (Date.now() < deadline);
+  return null;
+}
+
+/**
+ * Applies the site's page setup that must happen before navigation: user agent, viewport and
+ * an initial delay.
+ * @param {object} page - The Puppeteer page.
+ * @param {object} siteRule - The site rule from scraping_rules.json.
+ * @param {string} [userAgent] - The User-Agent to send; defaults to the site's `user_agent`.
+ */
+export async function applyPageSetup(page, siteRule, userAgent = siteRule.user_agent) {
+  if (siteRule.user_agent) console.log(`  🕵️‍♂️ Using the site's User-Agent: ${siteRule.user_agent}`);
+  if (userAgent) await page.setUserAgent(userAgent);
+  if (siteRule.viewport) {
+    const { width = 1280, height = 800, height_jitter = 0 } = siteRule.viewport;
+    await page.setViewport({ width, height: height + Math.floor(Math.random() * height_jitter) });
+  }
+  if (siteRule.delay_before_ms) {
+    await sleep(pickDelay(siteRule.delay_before_ms));
+  }
+}
+
+/**
+ * Runs one action on a loaded page.
+ * @param {object} page - The Puppeteer page.
+ * @param {object} action - The action from the site rule.
+ * @returns {Promise<boolean>} Whether the action found what it was looking for.
+ */
+async function runAction(page, action) {
+  const timeout = action.timeout_ms ?? DEFAULT_TIMEOUT_MS;
+  const waitAfter = action.wait_after_ms ?? DEFAULT_WAIT_AFTER_MS;
+
+  switch (action.type) {
+    case 'wait_for': {
+      const handle = await waitForElement(page, action.selector, action.text, timeout);
+      if (handle) await handle.dispose();
+      return Boolean(handle);
+    }
+    case 'click': {
+      const handle = await waitForElement(page, action.selector, action.text, timeout);
+      if (!handle) return false;
+      console.log(`  🖱️  Clicking ${action.selector}${action.text ? ` ("${action.text}")` : ''}`);
+      await handle.click();
+      await handle.dispose();
+      await sleep(waitAfter);
+      return true;
+    }
+    case 'expand': {
+      // Buttons like "더보기" / "Show more" that reveal a bit more text per click
+      let clicks = 0;
+      const maxClicks = action.max_clicks ?? DEFAULT_MAX_CLICKS;
+      while (clicks < maxClicks) {
+        const handle = await findElement(page, action.selector, action.text);
+        if (!handle) break;
+        await handle.click().catch(() => {});
+        await handle.dispose();
+        clicks++;
+        await sleep(waitAfter);
+      }
+      if (clicks > 0) console.log(`  ➕ Expanded ${action.selector} ${clicks} time(s)`);
+      return clicks > 0;
+    }
+    case 'scroll': {
+      const times = action.times ?? DEFAULT_SCROLLS;
+      let lastHeight = 0;
+      for (let i = 0; i < times; i++) {
+        const height = await page.evaluate(() => {
+          window.scrollBy(0, window.innerHeight);
+          return document.body.scrollHeight;
+        });
+        await sleep(action.delay_ms ?? DEFAULT_WAIT_AFTER_MS);
+        if (height === lastHeight) break; // Nothing more is loading
+        lastHeight = height;
+      }
+      return true;
+    }
+    case 'delay':
+      await sleep(pickDelay(action.ms));
+      return true;
+    default:
+      throw new Error(`Unknown site action type: ${action.type}`);
+  }
+}
+
+/**
+ * Runs the site's `actions` in order on a loaded page.
+ * @param {object} page - The Puppeteer page.
+ * @param {object} siteRule - The site rule from scraping_rules.json.
+ * @throws {Error} When an action marked `required` finds nothing.
+ */
+export async function runSiteActions(page, siteRule) {
+  for (const action of siteRule.actions || []) {
+    let found;
+    try {
+      found = await runAction(page, action);
+    } catch (e) {
+      if (action.required) throw e;
+      console.log(`  ⚠️  Site action ${action.type} failed, continuing: ${e.message}`);
+      continue;
+    }
+    if (!found && action.required) {
+      throw new Error(`Required site action ${action.type} found no "${action.selector}"`);
+    }
+    if (!found && action.selector) {
+      console.log(`  ✅ ${action.selector} not found, continuing.`);
+    }
+  }
+}
@@ -0,0 +1,121 @@
+import fs from "fs/promises";
+import path from "path";
+import { createHash } from "crypto";
+import { parse as csvParse } from "csv-parse/sync";
+import { stringify as csvStringify } from "csv-stringify/sync";
+import { canonicalKey } from "./url-normalizer.js";
+
+// Local archive of the raw HTML of every successful scrape, so extraction can be re-run
+// without hitting the sites again (`1_process_raw.js --offline`) and a failed live fetch can
+// fall back to the last good copy. Pages live in archive/pages/ and are listed in
+// archive/archive_index.csv: the legacy harvester's six columns followed by final_url, fetcher
+// and http_status. An index started by the legacy harvester gets the full header the first time
+// it is opened here; the harvester's own shorter rows still read fine after that.
+
+export const ARCHIVE_DIR = path.resolve(process.cwd(), "archive");
+
+const INDEX_COLUMNS = ['id', 'timestamp', 'source', 'url', 'type', 'path', 'final_url', 'fetcher', 'http_status'];
+
+/**
+ * Reads the index, including rows appended with all `INDEX_COLUMNS` under a legacy header.
+ * @param {string} indexPath
+ * @returns {Promise<{header: string[], entries: object[]}>} Empty when the index does not exist.
+ */
+async function readIndex(indexPath) {
+  let rows;
+  try {
+    rows = csvParse(await fs.readFile(indexPath, "utf-8"), { skip_empty_lines: true, bom: true, relax_column_count: true });
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    return { header: [], entries: [] };
+  }
+  const [header = [], ...records] = rows;
+  const entries = records.map(record => {
+    const columns = record.length > header.length ? INDEX_COLUMNS : header;
+    return Object.fromEntries(columns.map((column, i) => [column, record[i] ?? '']));
+  });
+  return { header, entries };
+}
+
+/**
+ * Opens the snapshot archive: reads its index once and keeps it in memory for the run.
+ * @param {string} [dir=ARCHIVE_DIR] - The archive directory.
+ * @returns {Promise<{size: number, latest: (url: string) => object|null, read: (snapshot: object) => Promise<string>,
+ *   save: (page: {url: string, final_url?: string, html: string, fetcher?: string, http_status?: number|string}) => Promise<object>}>}
+ *   `latest` finds the most recent snapshot of a URL, matching the requested and the final URL by
+ *   their `canonicalKey`; `save` stores a page and returns its index entry.
+ */
+export async function openSnapshotArchive(dir = ARCHIVE_DIR) {
+  const pagesDir = path.join(dir, "pages");
+  const indexPath = path.join(dir, "archive_index.csv");
+  const { header, entries } = await readIndex(indexPath);
+  if (header.length > 0 && header.join(',') !== INDEX_COLUMNS.join(',')) {
+    console.log(`🔧 Migrating ${path.basename(indexPath)} to the current column layout...`);
+    await fs.writeFile(indexPath, csvStringify(entries, { header: true, columns: INDEX_COLUMNS }), "utf-8");
+  }
+
+  const byKey = new Map();
+  const addToIndex = (entry) => {
+    for (const url of new Set([entry.url, entry.final_url].filter(Boolean))) {
+      const key = canonicalKey(url);
+      const current = byKey.get(key);
+      // ISO timestamps sort as strings; a later entry of the same second wins
+      if (!current || entry.timestamp >= current.timestamp) byKey.set(key, entry);
+    }
+  };
+  entries.forEach(addToIndex);
+  let nextId = Math.max(0, ...entries.map(entry => parseInt(entry.id, 10) || 0)) + 1;
+  let pending = Promise.resolve();
+
+  const writeSnapshot = async ({ url, final_url = '', html, fetcher = '', http_status = '' }) => {
+    const timestamp = new Date().toISOString();
+    const hash = createHash('sha1').update(url).digest('hex').slice(0, 12);
+    const filePath = path.join(pagesDir, `${timestamp.replace(/[:.]/g, '-')}_${hash}.html`);
+    await fs.mkdir(pagesDir, { recursive: true });
+    await fs.writeFile(filePath, html, "utf-8");
+
+    let source = '';
+    try {
+      source = new URL(url).hostname;
+    } catch (e) {
+      // Keep the entry; it is still found by URL
+    }
+    const entry = {
+      id: nextId++,
+      timestamp,
+      source,
+      url,
+      type: 'html',
+      path: path.relative(process.cwd(), filePath),
+      final_url,
+      fetcher,
+      http_status,
+    };
+    const isNewIndex = entries.length === 0 && !(await fs.access(indexPath).then(() => true, () => false));
+    await fs.appendFile(indexPath, csvStringify([entry], { header: isNewIndex, columns: INDEX_COLUMNS }), "utf-8");
+    entries.push(entry);
+    addToIndex(entry);
+    return entry;
+  };
+
+  return {
+    get size() {
+      return entries.length;
+    },
+
+    latest(url) {
+      return byKey.get(canonicalKey(url)) || null;
+    },
+
+    async read(snapshot) {
+      return fs.readFile(path.resolve(process.cwd(), snapshot.path), "utf-8");
+    },
+
+    save(page) {
+      // Saves are chained so parallel workers never write the index header twice
+      const saved = pending.then(() => writeSnapshot(page));
+      pending = saved.catch(() => {});
+      return saved;
+    },
+  };
+}
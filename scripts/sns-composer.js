@@ -3,6 +3,8 @@
  * @typedef {Object} SnsContent
  * @property {string} platform - The target social media platform.
  * @property {string[]} text - An array of text snippets for the post (e.g., a thread for X).
+ * @property {string[]} [sourcesFooter] - Snippets listing the cited sources, posted after `text`.
+ *   Kept apart so a translation of the post leaves the links and titles alone.
  * @property {string[]} [hashtags] - An array of suggested hashtags.
  * @property {Object[]} [carousel] - An array of objects representing carousel slides.
  * @property {string} [carousel[].title] - The title for a carousel slide.
@@ -16,7 +18,15 @@
  * @property {string} [videoScript.cta] - The call to action at the end of the video.
  */
 
+/**
+ * @typedef {Object} CitedSource
+ * @property {string} marker - The inline marker without brackets, e.g. "S1".
+ * @property {string} url - The link to the source.
+ * @property {string} [title] - The source's title.
+ */
+
 const X_CHARACTER_LIMIT = 280;
+const SOURCES_LABEL = 'Sources:';
 
 /**
  * Cleans the raw content by removing markdown and making it more readable.
@@ -45,12 +55,36 @@ function getSentences(text) {
   return text.match(/[^.!?]+[.!?]*(\s|$)/g) || [];
 }
 
+/**
+ * Formats cited sources as footer lines: "[S1] Title https://...".
+ * @param {CitedSource[]} sources - The cited sources.
+ * @param {boolean} [withTitles=true] - false keeps only the links (titles stay for sources without one).
+ * @returns {string[]} One line per source.
+ */
+function formatSourceLines(sources, withTitles = true) {
+  return sources.map(({ marker, url, title }) => {
+    const label = withTitles || !url ? title : '';
+    return [`[${marker}]`, label, url].filter(Boolean).join(' ');
+  });
+}
+
+/**
+ * Builds the "Sources:" footer of a post.
+ * @param {CitedSource[]} sources - The cited sources.
+ * @returns {string[]} The footer as one text snippet, or [] when nothing was cited.
+ */
+function composeSourcesFooter(sources) {
+  if (!sources?.length) return [];
+  return [[SOURCES_LABEL, ...formatSourceLines(sources)].join('\n')];
+}
+
 /**
  * Composes content for X (formerly Twitter) or Threads.
  * @param {string} content - The raw text content.
+ * @param {CitedSource[]} [sources] - Cited sources, listed in closing posts.
  * @returns {SnsContent} An object containing the formatted content.
  */
-function composeForX(content) {
+function composeForX(content, sources = []) {
   const cleanedContent = cleanContent(content);
   const sentences = getSentences(cleanedContent);
   const tweets = [];
@@ -72,14 +106,33 @@ function composeForX(content) {
     tweets.push(currentTweet.trim());
   }
 
-  const numberedTweets = tweets.map((tweet, index) => `(${index + 1}/${tweets.length}) ${tweet}`);
+  // The sources go in closing posts of their own, links only, as many as the links need
+  const sourceTweets = [];
+  if (sources.length) {
+    // Room for the "(n/n) " numbering
+    const limit = X_CHARACTER_LIMIT - 10;
+    let sourcesTweet = SOURCES_LABEL;
+    for (const line of formatSourceLines(sources, false)) {
+      if (sourcesTweet.length + line.length + 1 > limit) {
+        sourceTweets.push(sourcesTweet);
+        sourcesTweet = line;
+      } else {
+        sourcesTweet += `\n${line}`;
+      }
+    }
+    sourceTweets.push(sourcesTweet);
+  }
+
+  const total = tweets.length + sourceTweets.length;
+  const numbered = [...tweets, ...sourceTweets].map((tweet, index) => `(${index + 1}/${total}) ${tweet}`);
 
   // In a real implementation, we would generate hashtags based on content.
   const hashtags = ['#AI', '#Tech', '#Innovation'];
 
   return {
     platform: 'x',
-    text: numberedTweets,
+    text: numbered.slice(0, tweets.length),
+    sourcesFooter: numbered.slice(tweets.length),
     hashtags,
   };
 }
@@ -87,9 +140,10 @@ function composeForX(content) {
 /**
  * Composes content for LinkedIn.
  * @param {string} content - The raw text content.
+ * @param {CitedSource[]} [sources] - Cited sources, listed in a footer.
  * @returns {SnsContent} An object containing the formatted content.
  */
-function composeForLinkedIn(content) {
+function composeForLinkedIn(content, sources = []) {
   const cleanedContent = cleanContent(content);
   const sentences = getSentences(cleanedContent);
   const post = sentences.join(' ');
@@ -120,6 +174,7 @@ function composeForLinkedIn(content) {
   return {
     platform: 'linkedin',
     text: [post],
+    sourcesFooter: composeSourcesFooter(sources),
     carousel,
     hashtags,
   };
@@ -128,9 +183,10 @@ function composeForLinkedIn(content) {
 /**
  * Composes content for Facebook.
  * @param {string} content - The raw text content.
+ * @param {CitedSource[]} [sources] - Cited sources, listed in a footer.
  * @returns {SnsContent} An object containing the formatted content.
  */
-function composeForFacebook(content) {
+function composeForFacebook(content, sources = []) {
   const cleanedContent = cleanContent(content);
   const sentences = getSentences(cleanedContent);
   const post = `Here's a look at the Aspiration Bank situation: ${sentences.join(' ')} What are your thoughts on this? Let us know in the comments! 👇`;
@@ -140,6 +196,7 @@ function composeForFacebook(content) {
   return {
     platform: 'facebook',
     text: [post],
+    sourcesFooter: composeSourcesFooter(sources),
     hashtags,
   };
 }
@@ -149,26 +206,30 @@ function composeForFacebook(content) {
  *
  * @param {string} platform - The target social media platform (e.g., 'x', 'linkedin', 'short_form_video').
  * @param {string} content - The raw text content (e.g., an article).
+ * @param {Object} [options]
+ * @param {CitedSource[]} [options.sources] - Sources cited in the content as [S1], [S2], ...;
+ *   they are listed under a "Sources:" footer with their links, in `sourcesFooter`.
  * @returns {SnsContent} An object containing the formatted content.
  */
-function composeForSns(platform, content) {
+function composeForSns(platform, content, { sources = [] } = {}) {
   switch (platform) {
     case 'x':
     case 'threads':
-      return composeForX(content);
+      return composeForX(content, sources);
     case 'linkedin':
-      return composeForLinkedIn(content);
+      return composeForLinkedIn(content, sources);
     case 'instagram_post':
       // return composeForInstagramPost(content);
       throw new Error('Not implemented yet');
     case 'facebook':
-      return composeForFacebook(content);
+      return composeForFacebook(content, sources);
     case 'short_form_video':
       // return composeForShortFormVideo(content);
       throw new Error('Not implemented yet');
     case 'naver-blog':
         return {
-            text: [content] // No splitting needed
+            text: [content], // No splitting needed
+            sourcesFooter: composeSourcesFooter(sources),
         };
     default:
         return {
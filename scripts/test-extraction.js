@@ -0,0 +1,137 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { extractArticleContent } from "./article-extractor.js";
+import { extractPublishDate, normalizeDate } from "./article-metadata.js";
+import { extractComments } from "./comments.js";
+import { detectAccessWall } from "./access-wall.js";
+import { loadScrapingRules } from "./scraping-rules.js";
+
+// Offline regression check for config/scraping_rules.json and the extractor.
+// Each folder in tests/fixtures/extraction/ holds a saved page (page.html) and its
+// expectations (expected.json). tests/fixtures/dates.json lists raw date strings and the ISO
+// date `normalizeDate` must make of them.
+// Usage: node scripts/test-extraction.js [domain...] [--verbose]
+
+const FIXTURES_DIR = path.resolve(process.cwd(), "tests", "fixtures", "extraction");
+const DATES_FILE = path.resolve(process.cwd(), "tests", "fixtures", "dates.json");
+const DEFAULT_MIN_LENGTH = 200;
+
+/**
+ * Checks one fixture and returns the list of failed expectations.
+ * @param {object} expected - The parsed expected.json.
+ * @param {object} result - { title, content, markdown, content_date, comments, access_status } produced by the extractor.
+ * @returns {string[]} Human-readable failures; empty when the fixture passes.
+ */
+function checkFixture(expected, result) {
+  const failures = [];
+  const minLength = expected.min_length ?? DEFAULT_MIN_LENGTH;
+
+  if (expected.title_includes && !result.title.includes(expected.title_includes)) {
+    failures.push(`title "${result.title}" does not include "${expected.title_includes}"`);
+  }
+  if (result.content.length < minLength) {
+    failures.push(`content is ${result.content.length} characters, expected at least ${minLength}`);
+  }
+  for (const snippet of expected.content_includes || []) {
+    if (!result.content.includes(snippet)) failures.push(`content is missing "${snippet}"`);
+  }
+  for (const snippet of expected.content_excludes || []) {
+    if (result.content.includes(snippet)) failures.push(`content should not contain "${snippet}"`);
+  }
+  for (const snippet of expected.comments_includes || []) {
+    if (!result.comments.some(comment => comment.text.includes(snippet))) failures.push(`no comment contains "${snippet}"`);
+  }
+  for (const snippet of expected.markdown_includes || []) {
+    if (!result.markdown.includes(snippet)) failures.push(`markdown is missing "${snippet}"`);
+  }
+  // Full articles must not be mistaken for paywalls or login walls
+  if (result.access_status !== (expected.access_status || '')) {
+    failures.push(`access status is "${result.access_status}", expected "${expected.access_status || ''}"`);
+  }
+  if (expected.content_date !== undefined && result.content_date !== expected.content_date) {
+    failures.push(`content_date is "${result.content_date}", expected "${expected.content_date}"`);
+  }
+  return failures;
+}
+
+/**
+ * Checks every case of dates.json against `normalizeDate`.
+ * @returns {Promise<number>} The number of failed cases.
+ */
+async function checkDates() {
+  const cases = JSON.parse(await fs.readFile(DATES_FILE, "utf-8"));
+  let failed = 0;
+  console.log(`\n🧪 Checking ${cases.length} date formats...\n`);
+  for (const { input, expected } of cases) {
+    const actual = normalizeDate(input);
+    if (actual === expected) {
+      console.log(`  ✅ PASS "${input}" → ${actual || "''"}`);
+    } else {
+      failed++;
+      console.log(`  ❌ FAIL "${input}" → "${actual}", expected "${expected}"`);
+    }
+  }
+  return failed;
+}
+
+async function main() {
+  const verbose = process.argv.includes('--verbose');
+  const only = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+  let domains;
+  try {
+    domains = (await fs.readdir(FIXTURES_DIR, { withFileTypes: true }))
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .filter(name => only.length === 0 || only.includes(name))
+      .sort();
+  } catch (e) {
+    console.error(`❌ Fixture directory not found: ${FIXTURES_DIR}`);
+    process.exit(1);
+  }
+
+  const rules = await loadScrapingRules();
+  let failed = 0;
+
+  console.log(`🧪 Checking extraction against ${domains.length} fixtures...\n`);
+  for (const domain of domains) {
+    const dir = path.join(FIXTURES_DIR, domain);
+    try {
+      const expected = JSON.parse(await fs.readFile(path.join(dir, "expected.json"), "utf-8"));
+      const html = await fs.readFile(path.join(dir, "page.html"), "utf-8");
+      const url = expected.url || `https://${domain}/`;
+
+      const extracted = extractArticleContent(html, url, rules);
+      const result = {
+        ...extracted,
+        content_date: extractPublishDate(html, url, rules),
+        comments: extractComments(html, url, rules),
+        access_status: detectAccessWall(html, extracted.content, url, rules)?.status || '',
+      };
+      const failures = checkFixture(expected, result);
+
+      if (failures.length === 0) {
+        console.log(`  ✅ PASS ${domain} (${result.method}, ${result.content.length} characters)`);
+      } else {
+        failed++;
+        console.log(`  ❌ FAIL ${domain} (${result.method}, ${result.content.length} characters)`);
+        failures.forEach(failure => console.log(`       - ${failure}`));
+      }
+      if (verbose) console.log(`       ${result.content.substring(0, 300).replace(/\n/g, '\n       ')}\n`);
+    } catch (e) {
+      failed++;
+      console.log(`  ❌ FAIL ${domain}: ${e.message}`);
+    }
+  }
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${domains.length - failed}/${domains.length} fixtures passed.`);
+
+  // Date formats run with the full suite only
+  const failedDates = only.length === 0 ? await checkDates() : 0;
+  process.exit(failed === 0 && failedDates === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error("An unexpected error occurred:", error);
+  process.exit(1);
+});
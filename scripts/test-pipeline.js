@@ -0,0 +1,118 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { parse as csvParse } from "csv-parse/sync";
+
+// Keyless end-to-end check of Steps 2–4. The processed rows and the plan in
+// tests/fixtures/pipeline/ are copied into a scratch folder together with config/, and each
+// stage runs there with `--mock stub`: no API keys, no network, no DeepL.
+// Usage: node scripts/test-pipeline.js [--verbose] [--keep]
+
+const FIXTURES_DIR = path.resolve(process.cwd(), "tests", "fixtures", "pipeline");
+const CONFIG_DIR = path.resolve(process.cwd(), "config");
+const PIPELINE_DIR = path.resolve(process.cwd(), "scripts", "pipeline");
+const STAGE_TIMEOUT_MS = 120000;
+
+const STAGES = [
+  { script: '2_generate_content.js', output: ['4_runs', 'all_runs.csv'], failure: 'SYNTHESIS_FAILED' },
+  { script: '3_edit_content.js', output: ['5_edited', 'edited_runs.csv'], failure: 'EDITING_FAILED' },
+  { script: '4_humanize_content.js', output: ['6_humanized', 'humanized_runs.csv'], failure: 'HUMANIZATION_FAILED' },
+];
+
+const readCsv = async (file) => csvParse(await fs.readFile(file, "utf-8"), { columns: true, skip_empty_lines: true, bom: true });
+
+/**
+ * Copies the fixtures and config into a new scratch folder laid out like the project root.
+ * @returns {Promise<string>} The folder.
+ */
+async function prepareWorkspace() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pipeline-test-"));
+  await fs.cp(CONFIG_DIR, path.join(dir, "config"), { recursive: true });
+  for (const folder of ['2_processed', '3_plans', '4_runs', '5_edited', '6_humanized']) {
+    await fs.mkdir(path.join(dir, "data", folder), { recursive: true });
+  }
+  await fs.copyFile(path.join(FIXTURES_DIR, "processed_content.csv"), path.join(dir, "data", "2_processed", "processed_content.csv"));
+  await fs.copyFile(path.join(FIXTURES_DIR, "manual_plan.csv"), path.join(dir, "data", "3_plans", "manual_plan.csv"));
+  return dir;
+}
+
+/**
+ * Runs one stage in the workspace and checks what it wrote.
+ * @param {string} dir - The workspace.
+ * @param {object} stage - An entry of `STAGES`.
+ * @param {object} env - The environment of the stage.
+ * @returns {Promise<{failures: string[], output: string, rows: number}>}
+ */
+async function runStage(dir, stage, env) {
+  const result = spawnSync(process.execPath, [path.join(PIPELINE_DIR, stage.script), '--mock', 'stub'], {
+    cwd: dir, env, encoding: "utf-8", timeout: STAGE_TIMEOUT_MS,
+  });
+  const output = `${result.stdout || ''}${result.stderr || ''}`;
+  const failures = [];
+  if (result.error) failures.push(`did not finish: ${result.error.message}`);
+  else if (result.status !== 0) failures.push(`exited with code ${result.status}`);
+
+  let rows = [];
+  try {
+    rows = await readCsv(path.join(dir, "data", ...stage.output));
+  } catch (e) {
+    failures.push(`${stage.output.join('/')} was not written: ${e.message}`);
+  }
+  if (rows.length === 0 && failures.length === 0) failures.push(`${stage.output.join('/')} has no rows`);
+  const failedCells = rows.flatMap(row => Object.values(row)).filter(value => value?.includes(stage.failure));
+  if (failedCells.length > 0) failures.push(`${failedCells.length} cells contain ${stage.failure}: ${failedCells[0].slice(0, 120)}`);
+  return { failures, output, rows: rows.length };
+}
+
+async function main() {
+  const verbose = process.argv.includes('--verbose');
+  const keep = process.argv.includes('--keep');
+  const plan = await readCsv(path.join(FIXTURES_DIR, "manual_plan.csv"));
+
+  const dir = await prepareWorkspace();
+  // No key may leak into a run that must never reach a provider
+  const env = { ...process.env, LLM_MOCK: 'stub' };
+  for (const name of ['OPENAI_API_KEY', 'GEMINI_API_KEY', 'DEEPL_API_KEY', 'LOCAL_LLM_API_KEY', 'LLM_RECORDINGS_DIR']) delete env[name];
+
+  let failed = 0;
+  console.log(`🧪 Running Steps 2–4 with --mock stub on ${plan.length} plans in ${dir}\n`);
+  for (const stage of STAGES) {
+    const { failures, output, rows } = await runStage(dir, stage, env);
+    if (stage.script.startsWith('2_') && rows > 0 && rows !== plan.length) {
+      failures.push(`${rows} runs for ${plan.length} plans`);
+    }
+    if (failures.length === 0) {
+      console.log(`  ✅ PASS ${stage.script} (${rows} rows)`);
+    } else {
+      failed++;
+      console.log(`  ❌ FAIL ${stage.script}`);
+      failures.forEach(failure => console.log(`       - ${failure}`));
+    }
+    if (verbose || failures.length > 0) console.log(`       ${output.trim().replace(/\n/g, '\n       ')}\n`);
+  }
+
+  // Every call must have been answered by the stub
+  try {
+    const calls = await readCsv(path.join(dir, "logs", "api_usage.csv"));
+    const real = calls.filter(call => call.provider !== 'mock_stub');
+    if (real.length > 0) {
+      failed++;
+      console.log(`  ❌ FAIL ${real.length} calls went to a real provider (${[...new Set(real.map(call => call.provider))].join(', ')})`);
+    } else {
+      console.log(`  ✅ PASS all ${calls.length} LLM calls were answered by the stub`);
+    }
+  } catch (e) {
+    failed++;
+    console.log(`  ❌ FAIL logs/api_usage.csv was not written: ${e.message}`);
+  }
+
+  if (!keep) await fs.rm(dir, { recursive: true, force: true });
+  console.log(`\n${failed === 0 ? '✅ Pipeline check passed.' : `❌ ${failed} pipeline checks failed.`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error("An unexpected error occurred:", error);
+  process.exit(1);
+});
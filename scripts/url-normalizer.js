@@ -0,0 +1,145 @@
+// URL cleanup for stage 1. `normalizeUrl` gives the address that is fetched and stored;
+// `canonicalKey` collapses the variants of one page (www/m. hosts, AMP, http/https) for deduping.
+
+// Query parameters that only track the click, on every site
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'mc_cid', 'mc_eid',
+  '_ga', '_gl', 'igsh', 'igshid', 'ref_src', 'cmpid', 'ncid', 'ocid', 'smid', 'sr_share',
+]);
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'hsa_'];
+
+// Parameters that are tracking only on some sites (elsewhere they may select the content)
+const SITE_TRACKING_PARAMS = {
+  'wsj.com': ['mod'],
+  'barrons.com': ['mod'],
+  'marketwatch.com': ['mod'],
+  'youtube.com': ['si', 'feature', 'pp'],
+  'x.com': ['s', 't'],
+  'twitter.com': ['s', 't'],
+  'threads.net': ['igshid'],
+  'blog.naver.com': ['isInf', 'trackingCode', 'proxyReferer'],
+};
+
+const MOBILE_HOST_PREFIXES = /^(?:www\d*|m|mobile|amp)\./;
+const YOUTUBE_HOSTS = /^(?:(?:www|m|music)\.)?(?:youtube\.com|youtube-nocookie\.com)$/;
+const YOUTUBE_ID = /^[\w-]{11}$/;
+const AMP_QUERY_PARAMS = new Set(['amp', 'outputType']);
+
+/**
+ * Whether a query parameter is click tracking for the given host.
+ * @param {string} name - The parameter name.
+ * @param {string} hostname - The lower-case hostname.
+ * @returns {boolean}
+ */
+function isTrackingParam(name, hostname) {
+  const lower = name.toLowerCase();
+  if (TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix))) return true;
+  return Object.entries(SITE_TRACKING_PARAMS)
+    .some(([domain, params]) => (hostname === domain || hostname.endsWith(`.${domain}`)) && params.includes(name));
+}
+
+/**
+ * Finds the video ID in any form of YouTube link: watch?v=, youtu.be/, /shorts/, /live/,
+ * /embed/ and /v/, on the www, m., music. and youtube-nocookie hosts.
+ * @param {string} url - A URL.
+ * @returns {string} The 11-character video ID, or '' when the URL is not a YouTube video.
+ */
+export function youtubeVideoId(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch (e) {
+    return '';
+  }
+  const hostname = parsed.hostname.toLowerCase();
+  let id = '';
+  if (hostname === 'youtu.be') {
+    id = parsed.pathname.split('/')[1] || '';
+  } else if (YOUTUBE_HOSTS.test(hostname)) {
+    id = parsed.pathname === '/watch'
+      ? parsed.searchParams.get('v') || ''
+      : (parsed.pathname.match(/^\/(?:shorts|live|embed|v)\/([^/?#]+)/) || [])[1] || '';
+  }
+  return YOUTUBE_ID.test(id) ? id : '';
+}
+
+/**
+ * Cleans a URL without changing which page it loads: strips tracking parameters and
+ * fragments (except `#!`/`#/` routes) and lower-cases the host. YouTube video links
+ * (youtu.be, shorts, embeds) become `https://www.youtube.com/watch?v=<id>`.
+ * @param {string} url - The URL as found in urls.csv or a feed.
+ * @returns {string} The cleaned URL, or the input trimmed when it cannot be parsed.
+ */
+export function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch (e) {
+    return String(url || '').trim();
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return parsed.href;
+
+  const videoId = youtubeVideoId(parsed.href);
+  if (videoId) return `https://www.youtube.com/watch?v=${videoId}`;
+
+  const hostname = parsed.hostname.toLowerCase();
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (isTrackingParam(name, hostname)) parsed.searchParams.delete(name);
+  }
+  if (!/^#[!/]/.test(parsed.hash)) parsed.hash = '';
+  return parsed.href;
+}
+
+/**
+ * Whether a URL is the home page of its site: no path beyond "/" or an index file, no query
+ * and no `#!`/`#/` route. Many CMSs and single-page apps declare the home page as rel=canonical
+ * or og:url of every article, so such a canonical says nothing about the page.
+ * @param {string} url - Any URL.
+ * @returns {boolean} False for an empty or unparsable URL.
+ */
+export function isSiteRoot(url) {
+  let parsed;
+  try {
+    parsed = new URL(normalizeUrl(url));
+  } catch (e) {
+    return false;
+  }
+  const path = parsed.pathname.replace(/\/(index\.\w+)?$/i, '');
+  return path === '' && !parsed.search && !parsed.hash;
+}
+
+/**
+ * Builds the dedupe key of a URL: the normalized URL without scheme, `www.`/`m.`/`amp.` host
+ * prefixes, AMP path and query markers, trailing slash and parameter order.
+ * Google and ampproject.org AMP cache links are unwrapped to the publisher URL.
+ * @param {string} url - Any URL (input, final or rel=canonical).
+ * @returns {string} The key; '' for an empty input.
+ */
+export function canonicalKey(url) {
+  const normalized = normalizeUrl(url);
+  if (!normalized) return '';
+  let parsed;
+  try {
+    parsed = new URL(normalized);
+  } catch (e) {
+    return normalized;
+  }
+
+  // https://www.google.com/amp/s/example.com/a and https://example-com.cdn.ampproject.org/c/s/example.com/a
+  const ampCache = parsed.pathname.match(/^\/(?:amp\/|[cv]\/)(s\/)?(.+)$/);
+  if (ampCache && (/(^|\.)google\.[a-z.]+$/.test(parsed.hostname) || parsed.hostname.endsWith('.cdn.ampproject.org'))) {
+    return canonicalKey(`${ampCache[1] ? 'https' : 'http'}://${ampCache[2]}${parsed.search}`);
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(MOBILE_HOST_PREFIXES, '');
+  const pathname = parsed.pathname
+    .replace(/\/amp\/?$/i, '')
+    .replace(/\.amp(\.html?)?$/i, '$1')
+    .replace(/\/+$/, '');
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !AMP_QUERY_PARAMS.has(name) || !/^(|1|true|amp)$/i.test(parsed.searchParams.get(name)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params).toString()}` : '';
+  const port = parsed.port ? `:${parsed.port}` : '';
+  return `${hostname}${port}${pathname}${query}${parsed.hash}`;
+}
@@ -0,0 +1,195 @@
+import { load as cheerioLoad } from "cheerio";
+import { YoutubeTranscript, YoutubeTranscriptNotAvailableLanguageError } from "youtube-transcript";
+import { fetchHtml } from "./http-fetcher.js";
+import { normalizeDate } from "./article-metadata.js";
+import { youtubeVideoId } from "./url-normalizer.js";
+
+// YouTube videos in stage 1: transcript in the preferred language, optional timestamps,
+// chapters from the description, and the channel, publish date and duration of the video.
+// Settings come from the `transcript` block of the youtube.com rule in scraping_rules.json.
+
+const DEFAULT_TRANSCRIPT_SETTINGS = {
+  languages: ['ko', 'en'],
+  timestamps: false,
+  paragraph_seconds: 30,
+};
+// "0:00 Intro", "12:30 - Results", "1:02:03 Q&A"
+const CHAPTER_LINE = /^\s*\(?((?:\d{1,2}:)?\d{1,2}:\d{2})\)?\s*[-–—:|]?\s*(.+?)\s*$/;
+const MIN_CHAPTERS = 2;
+
+/**
+ * Formats seconds as m:ss or h:mm:ss, the way YouTube shows them.
+ * @param {number} seconds - Offset into the video.
+ * @returns {string} The timestamp.
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+const parseTimestamp = (value) => value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+
+// Caption XML is entity-encoded, sometimes twice ("&amp;#39;")
+const decodeEntities = (text) => {
+  let decoded = text;
+  for (let i = 0; i < 2 && /&[#\w]+;/.test(decoded); i++) {
+    decoded = cheerioLoad(`<p>${decoded}</p>`)('p').text();
+  }
+  return decoded.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Finds chapters in a video description: at least two lines starting with a timestamp,
+ * the first one at 0:00, in increasing order (the same rules YouTube uses).
+ * @param {string} description - The video description.
+ * @returns {Array<{start: number, title: string}>} The chapters, or [] when there are none.
+ */
+export function parseChapters(description) {
+  const chapters = [];
+  for (const line of (description || '').split('\n')) {
+    const match = line.match(CHAPTER_LINE);
+    if (!match) continue;
+    const start = parseTimestamp(match[1]);
+    if (chapters.length > 0 && start <= chapters[chapters.length - 1].start) continue;
+    chapters.push({ start, title: match[2] });
+  }
+  return chapters.length >= MIN_CHAPTERS && chapters[0].start === 0 ? chapters : [];
+}
+
+/**
+ * Reads the video's details from its watch page (ytInitialPlayerResponse), falling back to
+ * the meta tags when the player JSON is missing.
+ * @param {string} videoId - The video ID.
+ * @returns {Promise<{title: string, channel: string, publish_date: string, duration_seconds: number|string,
+ *   description: string}>}
+ */
+export async function fetchVideoMetadata(videoId) {
+  const { html } = await fetchHtml(`https://www.youtube.com/watch?v=${videoId}`);
+  const $ = cheerioLoad(html);
+  let player = {};
+  const json = html.match(/ytInitialPlayerResponse\s*=\s*(\{.+?\});\s*(?:var\s|<\/script>)/s)?.[1];
+  try {
+    player = json ? JSON.parse(json) : {};
+  } catch (e) {
+    // Layout change; the meta tags below still work
+  }
+  const details = player.videoDetails || {};
+  const microformat = player.microformat?.playerMicroformatRenderer || {};
+  // itemprop="duration" is ISO 8601 ("PT12M30S")
+  const isoDuration = $('meta[itemprop="duration"]').attr('content') || '';
+  const [, h = 0, m = 0, s = 0] = isoDuration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/) || [];
+  const metaDuration = Number(h) * 3600 + Number(m) * 60 + Number(s);
+
+  return {
+    title: details.title || $('meta[property="og:title"]').attr('content') || $('title').text().replace(/ - YouTube$/, '').trim(),
+    channel: details.author || microformat.ownerChannelName || $('link[itemprop="name"]').attr('content') || '',
+    publish_date: normalizeDate(microformat.publishDate || microformat.uploadDate
+      || $('meta[itemprop="datePublished"]').attr('content') || $('meta[itemprop="uploadDate"]').attr('content')),
+    duration_seconds: Number(details.lengthSeconds) || metaDuration || '',
+    description: details.shortDescription || $('meta[property="og:description"]').attr('content') || '',
+  };
+}
+
+/**
+ * Fetches the transcript in the first available preferred language, or the video's default
+ * track when none of them exists.
+ * @param {string} videoId - The video ID.
+ * @param {string[]} languages - Language codes in order of preference.
+ * @returns {Promise<{segments: Array<{start: number, text: string}>, language: string}>}
+ */
+async function fetchPreferredTranscript(videoId, languages) {
+  for (const lang of languages) {
+    try {
+      const transcript = await YoutubeTranscript.fetchTranscript(videoId, { lang });
+      return { segments: toSegments(transcript), language: lang };
+    } catch (e) {
+      if (!(e instanceof YoutubeTranscriptNotAvailableLanguageError)) throw e;
+    }
+  }
+  const transcript = await YoutubeTranscript.fetchTranscript(videoId);
+  return { segments: toSegments(transcript), language: transcript[0]?.lang || '' };
+}
+
+const toSegments = (transcript) => transcript
+  .map(item => ({ start: item.offset, text: decodeEntities(item.text) }))
+  .filter(segment => segment.text);
+
+/**
+ * Groups transcript segments into paragraphs of about `paragraphSeconds`, starting a new one
+ * at every chapter.
+ * @param {Array<{start: number, text: string}>} segments - The transcript.
+ * @param {Array<{start: number, title: string}>} chapters - From `parseChapters`.
+ * @param {number} paragraphSeconds - Target paragraph length.
+ * @returns {Array<{start: number, text: string, chapter?: object}>} `chapter` is set on the
+ *   first paragraph of each chapter.
+ */
+function toParagraphs(segments, chapters, paragraphSeconds) {
+  const paragraphs = [];
+  let chapterIndex = -1;
+  for (const segment of segments) {
+    let chapter;
+    while (chapterIndex + 1 < chapters.length && segment.start >= chapters[chapterIndex + 1].start) {
+      chapter = chapters[++chapterIndex];
+    }
+    const current = paragraphs[paragraphs.length - 1];
+    if (!current || chapter || segment.start - current.start >= paragraphSeconds) {
+      paragraphs.push({ start: segment.start, text: segment.text, ...(chapter ? { chapter } : {}) });
+    } else {
+      current.text += ` ${segment.text}`;
+    }
+  }
+  return paragraphs;
+}
+
+/**
+ * Scrapes a YouTube video: transcript, title, channel, publish date, duration and chapters.
+ * With `timestamps` on, every paragraph starts with its position ("[12:30] ...") so generated
+ * posts can cite it. Chapters become headings in the Markdown and title lines in the text.
+ * @param {string} url - The video URL (any form `youtubeVideoId` understands).
+ * @param {object} [settings] - The `transcript` block of the youtube.com rule.
+ * @returns {Promise<{title: string, author: string, content: string, content_markdown: string,
+ *   content_date: string, duration_seconds: number|string, language: string, chapter_count: number}>}
+ * @throws {Error} When the URL has no video ID or the video has no transcript.
+ */
+export async function scrapeYoutubeVideo(url, settings = {}) {
+  const options = { ...DEFAULT_TRANSCRIPT_SETTINGS, ...settings };
+  const videoId = youtubeVideoId(url);
+  if (!videoId) throw new Error(`Not a YouTube video URL: ${url}`);
+
+  const { segments, language } = await fetchPreferredTranscript(videoId, options.languages);
+  let metadata = { title: '', channel: '', publish_date: '', duration_seconds: '', description: '' };
+  try {
+    metadata = await fetchVideoMetadata(videoId);
+  } catch (e) {
+    console.log(`  ⚠️  Could not fetch video details for ${url}: ${e.message}`);
+  }
+
+  const chapters = parseChapters(metadata.description);
+  const paragraphs = toParagraphs(segments, chapters, options.paragraph_seconds);
+  const text = [];
+  const markdown = [];
+  for (const paragraph of paragraphs) {
+    if (paragraph.chapter) {
+      const heading = `${paragraph.chapter.title} (${formatTimestamp(paragraph.chapter.start)})`;
+      text.push(heading);
+      markdown.push(`## ${heading}`);
+    }
+    const line = options.timestamps ? `[${formatTimestamp(paragraph.start)}] ${paragraph.text}` : paragraph.text;
+    text.push(line);
+    markdown.push(line);
+  }
+
+  return {
+    title: metadata.title || 'YouTube Video',
+    author: metadata.channel,
+    content: text.join('\n\n'),
+    content_markdown: markdown.join('\n\n'),
+    content_date: metadata.publish_date,
+    duration_seconds: metadata.duration_seconds,
+    language,
+    chapter_count: chapters.length,
+  };
+}